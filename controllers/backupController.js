@@ -142,6 +142,7 @@ export const exportJSON = async (req, res) => {
         price: p.price,
         quantity: p.quantity,
         unit: p.unit,
+        variants: p.variants || [],
         category: p.category,
         isAvailable: p.isAvailable,
         lowStockThreshold: p.lowStockThreshold,
@@ -670,6 +671,7 @@ export const importAdminJSON = async (req, res) => {
           price: p.price,
           quantity: p.quantity,
           unit: p.unit,
+          variants: p.variants || [],
           category: p.category,
           seller: p.seller,
           marketLocation: p.marketLocation,
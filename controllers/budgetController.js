@@ -1,5 +1,5 @@
 import Budget from "../models/Budget.js";
-import Order from "../models/Order.js";
+import { getBudgetPeriods, getSpentSince } from "../utils/budget.js";
 
 // @desc    Get user's budget settings
 // @route   GET /api/budget
@@ -89,29 +89,11 @@ export const getSpending = async (req, res) => {
       });
     }
 
-    // Calculate date ranges
-    const now = new Date();
-    const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-    
-    // Get start of week (Sunday)
-    const startOfWeek = new Date(startOfToday);
-    startOfWeek.setDate(startOfWeek.getDate() - startOfWeek.getDay());
-
-    // Calculate today's spending from completed orders
-    const todayOrders = await Order.find({
-      buyer: req.user._id,
-      status: "completed",
-      createdAt: { $gte: startOfToday }
-    });
-    const todaySpent = todayOrders.reduce((sum, order) => sum + order.total, 0);
+    const { startOfToday, startOfWeek } = getBudgetPeriods();
 
-    // Calculate this week's spending from completed orders
-    const weekOrders = await Order.find({
-      buyer: req.user._id,
-      status: "completed",
-      createdAt: { $gte: startOfWeek }
-    });
-    const weeklySpent = weekOrders.reduce((sum, order) => sum + order.total, 0);
+    // Spending counts completed orders only
+    const todaySpent = await getSpentSince(req.user._id, startOfToday);
+    const weeklySpent = await getSpentSince(req.user._id, startOfWeek);
 
     // Calculate remaining budgets
     const dailyRemaining = Math.max(0, budget.dailyLimit - todaySpent);
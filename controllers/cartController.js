@@ -0,0 +1,429 @@
+import mongoose from "mongoose";
+import Cart from "../models/Cart.js";
+import Order from "../models/Order.js";
+import Product from "../models/Product.js";
+import { createHttpError, sendHttpError } from "../utils/httpError.js";
+import {
+  CART_HOLD_MINUTES,
+  holdStock,
+  lineKey,
+  releaseCartHolds,
+  isSamePackSize,
+  releaseHeldStock,
+  toStockQuantity
+} from "../utils/inventory.js";
+import { notifyPlacedOrders, placeOrders } from "../utils/checkout.js";
+import { checkQuantity, floorToStep, getQuantityRule, roundQuantity } from "../utils/units.js";
+
+const populateCart = (cart) => cart.populate([
+  { path: "items.product", select: "name price unit variants image quantity isAvailable marketLocation" },
+  { path: "items.seller", select: "name stallName" }
+]);
+
+const holdExpiry = () => new Date(Date.now() + CART_HOLD_MINUTES * 60 * 1000);
+
+const PACK_SIZE_CHANGED = "This item's pack size has changed. Remove it and add it to your cart again.";
+
+// Cart line for a product in one variant (variantId from the query string or body)
+const findCartLine = (cart, productId, variantId) =>
+  cart?.items.find(i => lineKey(i.product, i.variant) === lineKey(productId, variantId || null));
+
+// Add freshly held stock to the cart; adding more of an item extends the hold on the whole line
+const addHeldItem = (cart, product, option, quantity) => {
+  const existing = findCartLine(cart, product._id, option.variant);
+  if (existing && !isSamePackSize(existing, option)) {
+    throw createHttpError(409, PACK_SIZE_CHANGED);
+  }
+
+  if (existing) {
+    existing.quantity = roundQuantity(existing.quantity + quantity);
+    existing.heldUntil = holdExpiry();
+  } else {
+    cart.items.push({
+      product: product._id,
+      seller: product.seller,
+      variant: option.variant,
+      quantity,
+      stockPerUnit: option.stockPerUnit,
+      heldUntil: holdExpiry()
+    });
+  }
+};
+
+// @desc    Get current user's cart
+// @route   GET /api/cart
+// @access  Private (Customer)
+export const getCart = async (req, res) => {
+  try {
+    const cart = await Cart.findOne({ user: req.user._id });
+
+    if (!cart) {
+      return res.json({ success: true, cart: { items: [] }, holdMinutes: CART_HOLD_MINUTES });
+    }
+
+    await populateCart(cart);
+
+    res.json({ success: true, cart, holdMinutes: CART_HOLD_MINUTES });
+  } catch (error) {
+    console.error("Get cart error:", error);
+    res.status(500).json({ success: false, message: "Server error fetching cart" });
+  }
+};
+
+// @desc    Add item to cart (holds stock)
+// @route   POST /api/cart/items
+// @access  Private (Customer)
+export const addCartItem = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const { productId, variantId = null } = req.body;
+    const quantity = Number(req.body.quantity);
+
+    if (!Number.isFinite(quantity) || quantity <= 0) {
+      return res.status(400).json({ success: false, message: "Quantity must be greater than zero" });
+    }
+
+    let cart;
+
+    await session.withTransaction(async () => {
+      cart = await Cart.findOne({ user: req.user._id }).session(session);
+      if (!cart) {
+        cart = new Cart({ user: req.user._id, items: [] });
+      }
+
+      // Steps and minimums (e.g. 0.25 kg) apply to the whole cart line; checked before
+      // any stock is held. A missing product is reported by holdStock as a conflict
+      const current = mongoose.isValidObjectId(productId) ? await Product.findById(productId).session(session) : null;
+      const currentOption = current?.getOption(variantId);
+      if (currentOption) {
+        const existing = findCartLine(cart, current._id, currentOption.variant);
+        if (existing && !isSamePackSize(existing, currentOption)) {
+          throw createHttpError(409, PACK_SIZE_CHANGED);
+        }
+
+        const problem = checkQuantity(roundQuantity((existing?.quantity || 0) + quantity), currentOption, current.name);
+        if (problem) {
+          throw createHttpError(400, problem);
+        }
+      }
+
+      const { product, option, conflict } = await holdStock({ productId, variantId, quantity }, session);
+      if (conflict) {
+        throw createHttpError(409, "Item is not available in the requested quantity", { conflicts: [conflict] });
+      }
+
+      addHeldItem(cart, product, option, quantity);
+      await cart.save({ session });
+    });
+
+    await populateCart(cart);
+
+    res.status(201).json({ success: true, message: "Item added to cart", cart });
+  } catch (error) {
+    if (error.statusCode) {
+      return sendHttpError(res, error);
+    }
+
+    console.error("Add cart item error:", error);
+    res.status(500).json({ success: false, message: "Server error adding item to cart" });
+  } finally {
+    await session.endSession();
+  }
+};
+
+// @desc    Change quantity of a cart item
+// @route   PUT /api/cart/items/:productId?variantId=
+// @access  Private (Customer)
+export const updateCartItem = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const quantity = Number(req.body.quantity);
+
+    if (!Number.isFinite(quantity) || quantity <= 0) {
+      return res.status(400).json({ success: false, message: "Quantity must be greater than zero" });
+    }
+
+    let cart;
+
+    await session.withTransaction(async () => {
+      cart = await Cart.findOne({ user: req.user._id }).session(session);
+      const item = findCartLine(cart, req.params.productId, req.query.variantId);
+
+      if (!item) {
+        throw createHttpError(404, "Item not found in cart");
+      }
+
+      const product = await Product.findById(item.product).session(session);
+      const current = product?.getOption(item.variant);
+      if (!current) {
+        throw createHttpError(404, "This item is no longer sold. Remove it from your cart.");
+      }
+
+      const problem = checkQuantity(quantity, current, product.name);
+      if (problem) {
+        throw createHttpError(400, problem);
+      }
+
+      const delta = roundQuantity(quantity - item.quantity);
+
+      if (delta > 0) {
+        const { option, conflict } = await holdStock({
+          productId: req.params.productId,
+          variantId: item.variant?.toString() || null,
+          quantity: delta
+        }, session);
+        if (conflict) {
+          throw createHttpError(409, "Item is not available in the requested quantity", { conflicts: [conflict] });
+        }
+        // The whole line is held at one size, so a variant resized since cannot be topped up
+        if (!isSamePackSize(item, option)) {
+          throw createHttpError(409, PACK_SIZE_CHANGED);
+        }
+      } else if (delta < 0) {
+        await releaseHeldStock(item.product, toStockQuantity(-delta, item.stockPerUnit), session);
+      }
+
+      item.quantity = quantity;
+      item.heldUntil = holdExpiry();
+      await cart.save({ session });
+    });
+
+    await populateCart(cart);
+
+    res.json({ success: true, message: "Cart updated", cart });
+  } catch (error) {
+    if (error.statusCode) {
+      return sendHttpError(res, error);
+    }
+
+    console.error("Update cart item error:", error);
+    res.status(500).json({ success: false, message: "Server error updating cart" });
+  } finally {
+    await session.endSession();
+  }
+};
+
+// @desc    Remove item from cart (releases its hold)
+// @route   DELETE /api/cart/items/:productId?variantId=
+// @access  Private (Customer)
+export const removeCartItem = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let cart;
+
+    await session.withTransaction(async () => {
+      cart = await Cart.findOne({ user: req.user._id }).session(session);
+
+      const variantId = req.query.variantId || null;
+
+      if (!findCartLine(cart, req.params.productId, variantId)) {
+        throw createHttpError(404, "Item not found in cart");
+      }
+
+      await releaseCartHolds(cart, [{ productId: req.params.productId, variantId }], session);
+      await cart.save({ session });
+    });
+
+    await populateCart(cart);
+
+    res.json({ success: true, message: "Item removed from cart", cart });
+  } catch (error) {
+    if (error.statusCode) {
+      return sendHttpError(res, error);
+    }
+
+    console.error("Remove cart item error:", error);
+    res.status(500).json({ success: false, message: "Server error removing item from cart" });
+  } finally {
+    await session.endSession();
+  }
+};
+
+// @desc    Clear cart (releases all holds)
+// @route   DELETE /api/cart
+// @access  Private (Customer)
+export const clearCart = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      const cart = await Cart.findOne({ user: req.user._id }).session(session);
+      if (!cart) return;
+
+      await releaseCartHolds(cart, null, session);
+      await cart.save({ session });
+    });
+
+    res.json({ success: true, message: "Cart cleared" });
+  } catch (error) {
+    console.error("Clear cart error:", error);
+    res.status(500).json({ success: false, message: "Server error clearing cart" });
+  } finally {
+    await session.endSession();
+  }
+};
+
+// @desc    Reorder a previous order: rebuild the cart from it, or place it directly
+// @route   POST /api/orders/:id/reorder
+// @access  Private (Customer)
+export const reorder = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const { placeOrder = false, paymentMethod, notes, slot } = req.body;
+
+    const original = await Order.findById(req.params.id);
+
+    if (!original) {
+      return res.status(404).json({ success: false, message: "Order not found" });
+    }
+
+    if (original.buyer.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ success: false, message: "Not authorized" });
+    }
+
+    // Delivery orders placed directly go to the buyer's default saved address
+    const deliveryAddress = original.deliveryType === "delivery"
+      ? req.user.savedAddresses.find(a => a.isDefault)
+      : null;
+
+    if (placeOrder && original.deliveryType === "delivery" && !deliveryAddress) {
+      return res.status(400).json({
+        success: false,
+        message: "Set a default delivery address to reorder directly"
+      });
+    }
+
+    const sellerId = original.seller.toString();
+    let cart = null;
+    let placed = null;
+    let issues = [];
+    let priceChanges = [];
+
+    await session.withTransaction(async () => {
+      cart = await Cart.findOne({ user: req.user._id }).session(session);
+      placed = null;
+      issues = [];
+      priceChanges = [];
+      const items = [];
+
+      // Re-check every line against the product (and variant) as it is today
+      for (const line of original.items) {
+        const product = await Product.findById(line.product).session(session);
+        const option = product?.getOption(line.variant);
+        const requested = line.quantity;
+
+        if (!option || !option.isAvailable) {
+          issues.push({
+            productId: line.product,
+            variantId: line.variant,
+            name: line.name,
+            reason: option ? "unavailable" : "not_found",
+            requested,
+            available: 0
+          });
+          continue;
+        }
+
+        // Checkout releases the buyer's own cart hold first, so it counts as available there
+        const hold = placeOrder ? findCartLine(cart, product._id, option.variant) : null;
+        const ownHold = hold ? toStockQuantity(hold.quantity, hold.stockPerUnit) : 0;
+        const available = floorToStep((product.quantity + ownHold) / option.stockPerUnit, getQuantityRule(option));
+
+        if (available < requested) {
+          issues.push({
+            productId: product._id,
+            variantId: option.variant,
+            name: product.name,
+            reason: "insufficient_stock",
+            requested,
+            available
+          });
+        }
+
+        if (option.price !== line.price) {
+          priceChanges.push({
+            productId: product._id,
+            variantId: option.variant,
+            name: product.name,
+            oldPrice: line.price,
+            newPrice: option.price
+          });
+        }
+
+        const quantity = Math.min(requested, available);
+        if (quantity > 0) {
+          items.push({ productId: product._id.toString(), variantId: option.variant?.toString() || null, quantity });
+        }
+      }
+
+      // Place the order only when every line can be filled as before
+      if (placeOrder && issues.length === 0) {
+        placed = await placeOrders({
+          buyer: req.user,
+          items,
+          notes,
+          paymentMethods: { [sellerId]: paymentMethod || original.paymentMethod },
+          deliveryType: original.deliveryType,
+          deliveryAddress,
+          slots: slot ? { [sellerId]: slot } : {}
+        }, session);
+        return;
+      }
+
+      // Otherwise put whatever is available in the cart, holding its stock
+      if (!cart) {
+        cart = new Cart({ user: req.user._id, items: [] });
+      }
+
+      for (const item of items) {
+        const { product, option, conflict } = await holdStock(item, session);
+        if (conflict) {
+          issues.push(conflict);
+          continue;
+        }
+        addHeldItem(cart, product, option, item.quantity);
+      }
+
+      await cart.save({ session });
+    });
+
+    if (placed) {
+      await notifyPlacedOrders({ buyer: req.user, ...placed });
+
+      return res.status(201).json({
+        success: true,
+        message: "Order placed again successfully",
+        placed: true,
+        orders: placed.orders,
+        priceChanges
+      });
+    }
+
+    await populateCart(cart);
+
+    res.json({
+      success: true,
+      message: issues.length > 0
+        ? "Some items are no longer available in the same quantity. Please review your cart."
+        : "Items added to your cart",
+      placed: false,
+      cart,
+      issues,
+      priceChanges,
+      holdMinutes: CART_HOLD_MINUTES
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return sendHttpError(res, error);
+    }
+
+    console.error("Reorder error:", error);
+    res.status(500).json({ success: false, message: "Server error reordering" });
+  } finally {
+    await session.endSession();
+  }
+};
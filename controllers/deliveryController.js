@@ -0,0 +1,200 @@
+import fs from "fs";
+import mongoose from "mongoose";
+import Order from "../models/Order.js";
+import User from "../models/User.js";
+import { sendHttpError } from "../utils/httpError.js";
+import { DELIVERY_STATUSES, transitionOrder } from "../utils/orderStatus.js";
+import { notifyOrderUpdate } from "../utils/orderNotifications.js";
+import { emitOrderStatusUpdate } from "../utils/socket.js";
+
+// Riders can be (re)assigned until the order is delivered or closed
+const ASSIGNABLE_STATUSES = ["pending", "awaiting_payment", "confirmed", "preparing", "ready", "failed_delivery"];
+
+const DELIVERY_MESSAGES = {
+  out_for_delivery: "Your order is on its way.",
+  delivered: "Your order has been delivered. Please give the rider your pickup code.",
+  failed_delivery: "We could not deliver your order."
+};
+
+// @desc    Assign (or unassign) a rider to a delivery order
+// @route   PUT /api/orders/:id/rider
+// @access  Private (Seller)
+export const assignRider = async (req, res) => {
+  try {
+    const { riderId } = req.body;
+
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({ success: false, message: "Order not found" });
+    }
+
+    if (order.seller.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ success: false, message: "Not authorized" });
+    }
+
+    if (order.deliveryType !== "delivery") {
+      return res.status(400).json({ success: false, message: "Only delivery orders can have a rider" });
+    }
+
+    if (!ASSIGNABLE_STATUSES.includes(order.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `A rider cannot be assigned to a ${order.status} order`,
+        currentStatus: order.status
+      });
+    }
+
+    let rider = null;
+    if (riderId) {
+      if (!mongoose.isValidObjectId(riderId)) {
+        return res.status(400).json({ success: false, message: "Invalid rider ID" });
+      }
+
+      rider = await User.findOne({ _id: riderId, role: "rider", employer: req.user._id, isActive: true });
+      if (!rider) {
+        return res.status(404).json({ success: false, message: "Rider not found" });
+      }
+    }
+
+    order.rider = rider ? rider._id : null;
+    order.statusHistory.push({
+      status: order.status,
+      timestamp: new Date(),
+      note: rider ? `Assigned to rider ${rider.name}` : "Rider unassigned"
+    });
+
+    await order.save();
+
+    if (rider) {
+      await notifyOrderUpdate({
+        userId: rider._id,
+        order,
+        type: "delivery_assigned",
+        heading: "New Delivery Assigned",
+        message: `You have been assigned a delivery to ${order.deliveryAddress?.fullAddress || "the customer"}.`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: rider ? "Rider assigned" : "Rider unassigned",
+      order
+    });
+  } catch (error) {
+    console.error("Assign rider error:", error);
+    res.status(500).json({ success: false, message: "Server error assigning rider" });
+  }
+};
+
+// @desc    Get deliveries assigned to the current rider
+// @route   GET /api/orders/rider
+// @access  Private (Rider)
+export const getRiderOrders = async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const query = { rider: req.user._id };
+    if (status && status !== "all") {
+      query.status = status;
+    } else if (!status) {
+      // Open deliveries by default
+      query.status = { $in: ["preparing", "ready", ...DELIVERY_STATUSES] };
+    }
+
+    const orders = await Order.find(query)
+      .populate("buyer", "name phone")
+      .populate("seller", "name stallName stallNumber marketLocation")
+      .sort({ "scheduledSlot.start": 1, createdAt: 1 });
+
+    res.json({
+      success: true,
+      count: orders.length,
+      orders
+    });
+  } catch (error) {
+    console.error("Get rider orders error:", error);
+    res.status(500).json({ success: false, message: "Server error fetching deliveries" });
+  }
+};
+
+// @desc    Report delivery progress (out for delivery, delivered with photo, failed)
+// @route   PUT /api/orders/:id/delivery
+// @access  Private (Rider, Seller)
+export const updateDeliveryStatus = async (req, res) => {
+  const removeProof = () => {
+    if (req.file && fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
+  };
+
+  try {
+    const { status, note } = req.body;
+
+    if (!DELIVERY_STATUSES.includes(status)) {
+      removeProof();
+      return res.status(400).json({ success: false, message: "Invalid delivery status" });
+    }
+
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      removeProof();
+      return res.status(404).json({ success: false, message: "Order not found" });
+    }
+
+    const isSeller = order.seller.toString() === req.user._id.toString();
+    const isRider = order.rider?.toString() === req.user._id.toString();
+
+    if (!isSeller && !isRider) {
+      removeProof();
+      return res.status(403).json({ success: false, message: "Not authorized" });
+    }
+
+    if (order.deliveryType !== "delivery") {
+      removeProof();
+      return res.status(400).json({ success: false, message: "This is not a delivery order" });
+    }
+
+    if (status === "delivered" && !req.file) {
+      return res.status(400).json({ success: false, message: "Please upload a proof-of-delivery photo" });
+    }
+
+    if (status === "failed_delivery" && !note?.trim()) {
+      removeProof();
+      return res.status(400).json({ success: false, message: "Please say why the delivery failed" });
+    }
+
+    // Throws 409 when the move is not in the transition table
+    transitionOrder(order, status, req.user.role, note?.trim() || `Status updated to ${status}`);
+
+    if (status === "delivered") {
+      order.deliveryProof = `/uploads/deliveries/${req.file.filename}`;
+      order.deliveredAt = new Date();
+    } else {
+      removeProof();
+    }
+
+    await order.save();
+
+    emitOrderStatusUpdate(order.buyer.toString(), order);
+
+    await notifyOrderUpdate({
+      userId: order.buyer,
+      order,
+      type: status,
+      heading: status === "failed_delivery" ? "Delivery Failed" : "Delivery Update",
+      message: DELIVERY_MESSAGES[status],
+      details: status === "failed_delivery" ? { Reason: note.trim() } : {}
+    });
+
+    res.json({ success: true, message: "Delivery status updated", order });
+  } catch (error) {
+    removeProof();
+
+    if (error.statusCode) {
+      return sendHttpError(res, error);
+    }
+
+    console.error("Update delivery status error:", error);
+    res.status(500).json({ success: false, message: "Server error updating delivery" });
+  }
+};
@@ -0,0 +1,177 @@
+import mongoose from "mongoose";
+import DeliveryZone from "../models/DeliveryZone.js";
+
+const ZONE_FIELDS = [
+  "name", "city", "barangays", "baseFee", "distanceKm",
+  "perKmFee", "perKgFee", "freeDeliveryThreshold", "isActive"
+];
+
+// Admins manage shared zones (or any seller's); sellers only their own
+const zoneScope = (req) => {
+  if (req.user.role === "seller") {
+    return { seller: req.user._id };
+  }
+  return {};
+};
+
+// Sellers may only manage zones when they run their own delivery
+const ensureSellerDelivery = (req, res) => {
+  if (req.user.role === "seller" && !req.user.hasOwnDelivery) {
+    res.status(403).json({
+      success: false,
+      message: "Enable own delivery in your settings to manage delivery zones"
+    });
+    return false;
+  }
+  return true;
+};
+
+const sendValidationError = (res, error) => {
+  const messages = Object.values(error.errors).map(err => err.message);
+  return res.status(400).json({
+    success: false,
+    message: messages[0]
+  });
+};
+
+// @desc    Get delivery zones
+// @route   GET /api/admin/delivery-zones, GET /api/settings/delivery-zones
+// @access  Private (Admin, Seller)
+export const getDeliveryZones = async (req, res) => {
+  try {
+    const query = zoneScope(req);
+
+    // Admins can filter by seller; "none" lists only the shared zones
+    if (req.user.role === "admin" && req.query.seller) {
+      query.seller = req.query.seller === "none" ? null : req.query.seller;
+    }
+
+    const zones = await DeliveryZone.find(query)
+      .populate("seller", "name stallName")
+      .sort({ city: 1, name: 1 });
+
+    res.json({
+      success: true,
+      count: zones.length,
+      zones
+    });
+  } catch (error) {
+    console.error("Get delivery zones error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching delivery zones"
+    });
+  }
+};
+
+// @desc    Create delivery zone
+// @route   POST /api/admin/delivery-zones, POST /api/settings/delivery-zones
+// @access  Private (Admin, Seller with own delivery)
+export const createDeliveryZone = async (req, res) => {
+  try {
+    if (!ensureSellerDelivery(req, res)) return;
+
+    const data = {};
+    ZONE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    if (req.user.role === "seller") {
+      data.seller = req.user._id;
+    } else if (req.body.seller) {
+      if (!mongoose.isValidObjectId(req.body.seller)) {
+        return res.status(400).json({ success: false, message: "Invalid seller ID" });
+      }
+      data.seller = req.body.seller;
+    }
+
+    const zone = await DeliveryZone.create(data);
+
+    res.status(201).json({
+      success: true,
+      message: "Delivery zone created successfully",
+      zone
+    });
+  } catch (error) {
+    console.error("Create delivery zone error:", error);
+
+    if (error.name === "ValidationError") {
+      return sendValidationError(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server error creating delivery zone"
+    });
+  }
+};
+
+// @desc    Update delivery zone
+// @route   PUT /api/admin/delivery-zones/:id, PUT /api/settings/delivery-zones/:id
+// @access  Private (Admin, Seller with own delivery)
+export const updateDeliveryZone = async (req, res) => {
+  try {
+    if (!ensureSellerDelivery(req, res)) return;
+
+    const zone = await DeliveryZone.findOne({ _id: req.params.id, ...zoneScope(req) });
+
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: "Delivery zone not found"
+      });
+    }
+
+    ZONE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        zone[field] = req.body[field];
+      }
+    });
+
+    await zone.save();
+
+    res.json({
+      success: true,
+      message: "Delivery zone updated successfully",
+      zone
+    });
+  } catch (error) {
+    console.error("Update delivery zone error:", error);
+
+    if (error.name === "ValidationError") {
+      return sendValidationError(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server error updating delivery zone"
+    });
+  }
+};
+
+// @desc    Delete delivery zone
+// @route   DELETE /api/admin/delivery-zones/:id, DELETE /api/settings/delivery-zones/:id
+// @access  Private (Admin, Seller)
+export const deleteDeliveryZone = async (req, res) => {
+  try {
+    const zone = await DeliveryZone.findOneAndDelete({ _id: req.params.id, ...zoneScope(req) });
+
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: "Delivery zone not found"
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Delivery zone deleted successfully"
+    });
+  } catch (error) {
+    console.error("Delete delivery zone error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error deleting delivery zone"
+    });
+  }
+};
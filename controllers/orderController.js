@@ -1,22 +1,61 @@
-import Order from "../models/Order.js";
+import mongoose from "mongoose";
+import Order, { generatePickupCode } from "../models/Order.js";
 import Product from "../models/Product.js";
 import fs from "fs";
 import User from "../models/User.js";
-import { emitLowStockNotification, emitNewOrderNotification } from "../utils/socket.js";
-import { sendLowStockEmail, sendNewOrderEmail } from "../utils/sendEmail.js";
+import { createHttpError, sendHttpError } from "../utils/httpError.js";
+import { isSamePackSize, lineKey, reserveStock, restockOrder, returnStock, toStockQuantity } from "../utils/inventory.js";
+import { DELIVERY_STATUSES, ORDER_STATUSES, canTransition, transitionOrder } from "../utils/orderStatus.js";
+import { notifyOrderUpdate } from "../utils/orderNotifications.js";
+import { emitOrderStatusUpdate } from "../utils/socket.js";
+import { checkReceipt } from "../utils/receiptChecks.js";
+import { quoteDeliveryFee } from "../utils/deliveryFee.js";
+import { getAvailableSlots, isSellerOpenAt } from "../utils/pickupSlots.js";
+import { buildOrderLine, notifyPlacedOrders, placeOrders, recalculateOrderTotal } from "../utils/checkout.js";
+import { checkQuantity, formatUnit, roundQuantity } from "../utils/units.js";
+import { lineAmount, roundCurrency } from "../utils/money.js";
+import { sendPackingSlipsPdf, sendReceiptPdf } from "../utils/orderPdf.js";
+import { findOrderPage } from "../utils/orderQuery.js";
+import {
+  getMarketComparison,
+  getSellerExportSheets,
+  getSellerIncomeOverTime,
+  getSellerMetrics,
+  resolveAnalyticsRange
+} from "../utils/sellerAnalytics.js";
+import { toCsv, toXlsx } from "../utils/spreadsheet.js";
+import {
+  MAX_FAILED_PICKUP_ATTEMPTS,
+  PICKUP_ATTEMPT_WINDOW_MINUTES,
+  parsePickupCode,
+  pickupCodesMatch,
+  readPickupScan,
+  renderPickupQR
+} from "../utils/pickupCode.js";
+
+// Remove receipt files uploaded with a request that did not go through
+const removeUploadedFiles = (files) => {
+  if (!files) return;
+  files.forEach(file => {
+    if (fs.existsSync(file.path)) fs.unlinkSync(file.path);
+  });
+};
 
 // @desc    Create new order
 // @route   POST /api/orders
 // @access  Private (Customer)
 export const createOrder = async (req, res) => {
+  const session = await mongoose.startSession();
+
   try {
     // If using FormData, items might be a JSON string
-    let { items, notes, paymentMethods, deliveryType, deliveryAddress } = req.body;
+    let { items, notes, paymentMethods, deliveryType, deliveryAddress, slots } = req.body;
 
     if (typeof items === 'string') {
       try {
         items = JSON.parse(items);
       } catch (e) {
+        removeUploadedFiles(req.files);
         return res.status(400).json({ success: false, message: "Invalid items format" });
       }
     }
@@ -32,202 +71,446 @@ export const createOrder = async (req, res) => {
       paymentMethods = {};
     }
 
+    // Chosen pickup/delivery slot per seller: { [sellerId]: slotStart }
+    if (typeof slots === 'string') {
+      try {
+        slots = JSON.parse(slots);
+      } catch (e) {
+        removeUploadedFiles(req.files);
+        return res.status(400).json({ success: false, message: "Invalid slots format" });
+      }
+    } else if (!slots) {
+      slots = {};
+    }
+
     if (!items || items.length === 0) {
       // Clean up uploaded files if error
-      if (req.files) {
-        req.files.forEach(file => fs.unlinkSync(file.path));
-      }
+      removeUploadedFiles(req.files);
       return res.status(400).json({
         success: false,
         message: "Order must contain at least one item"
       });
     }
 
-    // Group items by seller
-    const ordersBySeller = {};
+    items = items.map(item => ({
+      productId: item.productId,
+      variantId: item.variantId || null,
+      quantity: Number(item.quantity)
+    }));
 
-    for (const item of items) {
-      const product = await Product.findById(item.productId).populate("seller");
+    // Steps and minimums per unit (e.g. 0.25 kg) are checked against each product in placeOrders
+    if (items.some(item => !Number.isFinite(item.quantity) || item.quantity <= 0)) {
+      removeUploadedFiles(req.files);
+      return res.status(400).json({
+        success: false,
+        message: "Item quantities must be numbers greater than zero"
+      });
+    }
 
-      if (!product) {
-        return res.status(404).json({
-          success: false,
-          message: `Product not found: ${item.productId}`
-        });
+    // Receipts arrive as proof_{sellerId} fields. Each is sanity-checked up front;
+    // warnings are shown to the seller and never block checkout
+    const receipts = {};
+    for (const file of req.files || []) {
+      const match = file.fieldname.match(/^proof_(.+)$/);
+      if (match) {
+        receipts[match[1]] = {
+          url: `/uploads/receipts/${file.filename}`,
+          check: await checkReceipt(file.path, match[1])
+        };
       }
+    }
 
-      if (!product.isAvailable || product.quantity < item.quantity) {
-        return res.status(400).json({
-          success: false,
-          message: `${product.name} is not available in the requested quantity`
+    const receiptChecks = Object.values(receipts).map(r => r.check);
+    receiptChecks.forEach(check => {
+      if (check.fileHash && receiptChecks.some(other => other !== check && other.fileHash === check.fileHash)) {
+        check.warnings.push({
+          code: "duplicate_receipt",
+          message: "The same receipt was uploaded for another seller in this checkout"
         });
       }
+    });
 
-      const sellerId = product.seller._id.toString();
+    let createdOrders = [];
+    let lowStockProducts = [];
 
-      if (!ordersBySeller[sellerId]) {
-        ordersBySeller[sellerId] = {
-          seller: product.seller._id,
-          marketLocation: product.marketLocation,
-          items: [],
-          total: 0,
-          paymentProof: null
-        };
-      }
+    // Stock decrements and every per-seller order commit together or not at all.
+    // withTransaction may re-run this callback on transient errors, so it
+    // rebuilds its state from scratch on each attempt.
+    await session.withTransaction(async () => {
+      ({ orders: createdOrders, lowStockProducts } = await placeOrders({
+        buyer: req.user,
+        items,
+        notes,
+        paymentMethods,
+        deliveryType,
+        deliveryAddress,
+        slots,
+        receipts
+      }, session));
+    });
 
-      ordersBySeller[sellerId].items.push({
-        product: product._id,
-        name: product.name,
-        price: product.price,
-        quantity: item.quantity,
-        unit: product.unit,
-        image: product.image
-      });
+    // Receipts uploaded for sellers that are not part of this checkout are never referenced
+    const usedProofs = createdOrders.map(o => o.paymentProof).filter(Boolean);
+    removeUploadedFiles(
+      (req.files || []).filter(f => !usedProofs.includes(`/uploads/receipts/${f.filename}`))
+    );
 
-      ordersBySeller[sellerId].total += product.price * item.quantity;
+    // Notifications only go out once the transaction has committed
+    await notifyPlacedOrders({ buyer: req.user, orders: createdOrders, lowStockProducts });
 
-      // Check for file upload for this seller
-      // Field name convention: proof_{sellerId}
-      if (req.files) {
-        const proofFile = req.files.find(f => f.fieldname === `proof_${sellerId}`);
-        if (proofFile) {
-          ordersBySeller[sellerId].paymentProof = `/uploads/receipts/${proofFile.filename}`;
-        }
+    res.status(201).json({
+      success: true,
+      message: `${createdOrders.length} order(s) created successfully`,
+      orders: createdOrders
+    });
+  } catch (error) {
+    // Nothing was committed, so the receipts must not outlive the failed checkout
+    removeUploadedFiles(req.files);
+
+    if (error.statusCode) {
+      return sendHttpError(res, error);
+    }
+
+    console.error("Create order error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error creating order"
+    });
+  } finally {
+    await session.endSession();
+  }
+};
+
+
+// @desc    Quote delivery fees before checkout
+// @route   GET /api/orders/quote
+// @access  Private (Customer)
+export const getDeliveryQuote = async (req, res) => {
+  try {
+    let { items, city, barangay, addressId } = req.query;
+
+    if (typeof items === 'string') {
+      try {
+        items = JSON.parse(items);
+      } catch (e) {
+        return res.status(400).json({ success: false, message: "Invalid items format" });
       }
+    }
 
-      // Reduce product quantity
-      product.quantity -= item.quantity;
-      await product.save();
-
-      // Check if product is now low on stock
-      if (product.quantity <= product.lowStockThreshold && product.quantity > 0) {
-        // Emit real-time notification to seller
-        emitLowStockNotification(sellerId, product);
-
-        // Also send email notification
-        try {
-          const seller = await User.findById(sellerId);
-          if (seller && seller.email) {
-            await sendLowStockEmail({
-              to: seller.email,
-              productName: product.name,
-              currentStock: product.quantity,
-              threshold: product.lowStockThreshold
-            });
-          }
-        } catch (emailError) {
-          console.error("Failed to send low stock email:", emailError);
-        }
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Quote must contain at least one item"
+      });
+    }
+
+    // Quote against a saved address, or the city/barangay given directly
+    let address = { city, barangay };
+    if (addressId) {
+      const saved = req.user.savedAddresses.id(addressId);
+      if (!saved) {
+        return res.status(404).json({ success: false, message: "Address not found" });
       }
+      address = saved;
     }
 
-    // Create orders for each seller
-    const createdOrders = [];
+    if (!address.city) {
+      return res.status(400).json({
+        success: false,
+        message: "City is required for a delivery quote"
+      });
+    }
 
-    for (const sellerId in ordersBySeller) {
-      const orderData = ordersBySeller[sellerId];
+    const productIds = items.map(i => i.productId).filter(id => mongoose.isValidObjectId(id));
+    const products = await Product.find({ _id: { $in: productIds } });
 
-      // Calculate delivery fee based on city
-      let deliveryFee = 0;
-      if (deliveryType === 'delivery' && deliveryAddress?.city) {
-        // Check if city is Angeles City (case-insensitive)
-        const city = deliveryAddress.city.toLowerCase();
-        if (city.includes('angeles')) {
-          deliveryFee = 25; // ₱25 for Angeles City
-        } else {
-          deliveryFee = 50; // ₱50 for outside Angeles City
-        }
-      }
+    // Group items by seller, as checkout does
+    const bySeller = {};
+    for (const item of items) {
+      const product = products.find(p => p._id.toString() === item.productId);
+      if (!product) continue;
 
-      const order = await Order.create({
-        buyer: req.user._id,
-        seller: orderData.seller,
-        items: orderData.items,
-        total: orderData.total + deliveryFee, // Include delivery fee in total
-        marketLocation: orderData.marketLocation,
-        notes,
-        paymentMethod: paymentMethods[sellerId] || 'qr',
-        paymentProof: orderData.paymentProof,
-        deliveryType: deliveryType || 'pickup',
-        deliveryAddress: deliveryType === 'delivery' && deliveryAddress ? {
-          fullAddress: deliveryAddress.fullAddress,
-          barangay: deliveryAddress.barangay,
-          city: deliveryAddress.city,
-          province: deliveryAddress.province,
-          postalCode: deliveryAddress.postalCode,
-          contactPhone: deliveryAddress.contactPhone,
-          deliveryNotes: deliveryAddress.deliveryNotes
-        } : null,
-        deliveryFee: deliveryFee
-      });
-
-      createdOrders.push(order);
-
-      // Notify seller about new order
-      try {
-        const seller = await User.findById(sellerId);
-        if (seller) {
-          // Emit real-time notification
-          emitNewOrderNotification(sellerId, order, req.user.name);
-
-          // Send email notification
-          if (seller.email) {
-            await sendNewOrderEmail({
-              to: seller.email,
-              sellerName: seller.name,
-              orderId: order._id,
-              buyerName: req.user.name,
-              items: order.items,
-              total: order.total,
-              marketLocation: order.marketLocation
-            });
-          }
-        }
-      } catch (notifyError) {
-        console.error("Failed to send order notification:", notifyError);
-        // Don't fail the order creation if notification fails
+      const sellerId = product.seller.toString();
+      if (!bySeller[sellerId]) {
+        bySeller[sellerId] = { items: [], subtotal: 0 };
       }
+
+      const option = product.getOption(mongoose.isValidObjectId(item.variantId) ? item.variantId : null);
+      if (!option) continue;
+
+      const quantity = Number(item.quantity) || 0;
+      bySeller[sellerId].items.push({ quantity, unit: option.unit, size: option.size });
+      bySeller[sellerId].subtotal = roundCurrency(bySeller[sellerId].subtotal + lineAmount({ price: option.price, quantity }));
     }
 
-    res.status(201).json({
+    const quotes = [];
+    for (const sellerId in bySeller) {
+      const { items: sellerItems, subtotal } = bySeller[sellerId];
+      const quote = await quoteDeliveryFee({ sellerId, address, items: sellerItems, subtotal });
+
+      quotes.push({
+        sellerId,
+        subtotal,
+        deliveryFee: quote.fee,
+        zone: quote.zone,
+        breakdown: quote.breakdown
+      });
+    }
+
+    res.json({
       success: true,
-      message: `${createdOrders.length} order(s) created successfully`,
-      orders: createdOrders
+      quotes,
+      totalDeliveryFee: quotes.reduce((sum, q) => sum + q.deliveryFee, 0)
     });
   } catch (error) {
-    console.error("Create order error:", error);
-    // Clean up files on error
-    if (req.files) {
-      req.files.forEach(file => {
-        if (fs.existsSync(file.path)) fs.unlinkSync(file.path);
-      });
+    console.error("Get delivery quote error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error calculating delivery fee"
+    });
+  }
+};
+
+// @desc    Get a seller's available pickup/delivery slots for the next 7 days
+// @route   GET /api/orders/slots/:sellerId
+// @access  Private
+export const getSellerSlots = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.sellerId)) {
+      return res.status(404).json({ success: false, message: "Seller not found" });
+    }
+
+    const seller = await User.findOne({ _id: req.params.sellerId, role: "seller", isActive: true });
+
+    if (!seller) {
+      return res.status(404).json({ success: false, message: "Seller not found" });
     }
+
+    const days = await getAvailableSlots(seller);
+
+    res.json({
+      success: true,
+      isOpenNow: isSellerOpenAt(seller),
+      slotDurationMinutes: seller.slotDurationMinutes,
+      days
+    });
+  } catch (error) {
+    console.error("Get seller slots error:", error);
     res.status(500).json({
       success: false,
-      message: "Server error creating order"
+      message: "Server error fetching pickup slots"
     });
   }
 };
 
+// @desc    Change the items of a pending order (quantities, removed and added lines)
+// @route   PUT /api/orders/:id/items
+// @access  Private (Customer)
+export const updateOrderItems = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const { items } = req.body;
+
+    if (!Array.isArray(items)) {
+      return res.status(400).json({ success: false, message: "Items must be a list of { productId, variantId, quantity }" });
+    }
+
+    // The request lists the order as it should be; lines left out or set to 0 are removed.
+    // A line is a product in one variant (no variantId = the product's own unit)
+    const wanted = new Map();
+    for (const item of items) {
+      const quantity = Number(item.quantity);
+      const variantId = item.variantId || null;
+
+      if (!mongoose.isValidObjectId(item.productId) || (variantId && !mongoose.isValidObjectId(variantId)) ||
+        !Number.isFinite(quantity) || quantity < 0) {
+        return res.status(400).json({ success: false, message: "Each item needs a product ID and a quantity of zero or more" });
+      }
+
+      const key = lineKey(item.productId, variantId);
+      if (wanted.has(key)) {
+        return res.status(400).json({ success: false, message: "Each product variant may only be listed once" });
+      }
+      wanted.set(key, { productId: item.productId, variantId, quantity });
+    }
+
+    if (![...wanted.values()].some(item => item.quantity > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: "Order must keep at least one item. Cancel the order instead."
+      });
+    }
+
+    let order;
+    let changes;
+
+    await session.withTransaction(async () => {
+      changes = [];
+      order = await Order.findById(req.params.id).session(session);
+
+      if (!order) {
+        throw createHttpError(404, "Order not found");
+      }
+
+      if (order.buyer.toString() !== req.user._id.toString()) {
+        throw createHttpError(403, "Not authorized");
+      }
+
+      if (order.status !== "pending") {
+        throw createHttpError(409, "Orders can only be changed before the seller starts preparing them", {
+          currentStatus: order.status
+        });
+      }
+
+      // withTransaction may retry, so work on a copy of the requested lines
+      const requested = new Map(wanted);
+      const nextItems = [];
+      const toTake = [];
+
+      // Existing lines keep the price they were ordered at
+      for (const line of order.items) {
+        const key = lineKey(line.product, line.variant);
+        const quantity = requested.get(key)?.quantity || 0;
+        requested.delete(key);
+
+        if (quantity === 0) {
+          await returnStock(line.product, toStockQuantity(line.quantity, line.stockPerUnit), session);
+          changes.push(`removed ${line.name}`);
+          continue;
+        }
+
+        // The line keeps the unit it was ordered in, so its step and minimum still apply
+        const problem = checkQuantity(quantity, line, line.name);
+        if (problem) {
+          throw createHttpError(400, problem);
+        }
+
+        const delta = roundQuantity(quantity - line.quantity);
+        if (delta > 0) {
+          toTake.push({
+            productId: line.product.toString(),
+            variantId: line.variant?.toString() || null,
+            quantity: delta,
+            stockPerUnit: line.stockPerUnit || 1
+          });
+        } else if (delta < 0) {
+          await returnStock(line.product, toStockQuantity(-delta, line.stockPerUnit), session);
+        }
+
+        if (quantity !== line.quantity) {
+          changes.push(`${line.name} ${line.quantity} → ${quantity} ${formatUnit(line)}`);
+        }
+
+        line.quantity = quantity;
+        nextItems.push(line);
+      }
+
+      // New lines must come from the same seller and are priced as of now
+      const newLines = [...requested.values()].filter(item => item.quantity > 0);
+      const newProducts = await Product.find({ _id: { $in: newLines.map(item => item.productId) } }).session(session);
+
+      for (const product of newProducts) {
+        if (product.seller.toString() !== order.seller.toString()) {
+          throw createHttpError(400, `${product.name} is sold by a different seller`);
+        }
+      }
+
+      // Missing products and variants are reported by reserveStock as conflicts
+      for (const item of newLines) {
+        const product = newProducts.find(p => p._id.toString() === String(item.productId));
+        const option = product?.getOption(item.variantId);
+        const problem = option && checkQuantity(item.quantity, option, product.name);
+        if (problem) {
+          throw createHttpError(400, problem);
+        }
+      }
+
+      toTake.push(...newLines);
+
+      const { reserved, conflicts } = await reserveStock(toTake, session);
+
+      if (conflicts.length > 0) {
+        throw createHttpError(409, "Some items are not available in the requested quantity", { conflicts });
+      }
+
+      for (const { item, product, option } of reserved) {
+        if (!newLines.includes(item)) {
+          // The whole line is taken at one size, so a variant resized since cannot be topped up
+          if (!isSamePackSize(item, option)) {
+            throw createHttpError(409, `${product.name}'s pack size has changed since it was ordered, so its quantity can only be lowered`);
+          }
+          continue;
+        }
+
+        nextItems.push(buildOrderLine(product, option, item.quantity));
+        changes.push(`added ${product.name} × ${item.quantity} ${formatUnit(option)}`);
+      }
+
+      if (changes.length === 0) {
+        throw createHttpError(400, "No changes to the order");
+      }
+
+      // Totals and the delivery fee follow the new items
+      order.items = nextItems;
+      await recalculateOrderTotal(order);
+
+      order.statusHistory.push({
+        status: order.status,
+        timestamp: new Date(),
+        note: `Order changed by customer: ${changes.join("; ")}. New total ₱${order.total.toFixed(2)}`
+      });
+
+      await order.save({ session });
+    });
+
+    await notifyOrderUpdate({
+      userId: order.seller,
+      order,
+      type: "order_modified",
+      heading: "Order Changed",
+      message: "The customer changed the items in this order.",
+      details: {
+        Changes: changes.join("; "),
+        "New Total": `₱${order.total.toFixed(2)}`
+      }
+    });
 
-// @desc    Get customer's orders
+    res.json({ success: true, message: "Order updated successfully", order });
+  } catch (error) {
+    if (error.statusCode) {
+      return sendHttpError(res, error);
+    }
+
+    console.error("Update order items error:", error);
+    res.status(500).json({ success: false, message: "Server error updating order items" });
+  } finally {
+    await session.endSession();
+  }
+};
+
+// @desc    Get customer's orders (filtered, sorted, cursor-paginated; see utils/orderQuery.js)
 // @route   GET /api/orders/my-orders
 // @access  Private
 export const getMyOrders = async (req, res) => {
   try {
-    const orders = await Order.find({
-      buyer: req.user._id,
-      isHiddenByBuyer: { $ne: true }
-    })
-      .populate("seller", "name")
-      .sort({ createdAt: -1 });
+    const { orders, pageInfo } = await findOrderPage(
+      { buyer: req.user._id, isHiddenByBuyer: { $ne: true } },
+      req.query,
+      query => query.populate("seller", "name")
+    );
 
     res.json({
       success: true,
       count: orders.length,
-      orders
+      orders,
+      pageInfo
     });
   } catch (error) {
+    if (error.statusCode) {
+      return sendHttpError(res, error);
+    }
+
     console.error("Get my orders error:", error);
     res.status(500).json({
       success: false,
@@ -236,28 +519,27 @@ export const getMyOrders = async (req, res) => {
   }
 };
 
-// @desc    Get seller's incoming orders
+// @desc    Get seller's incoming orders (filtered, sorted, cursor-paginated; see utils/orderQuery.js)
 // @route   GET /api/orders/seller
 // @access  Private (Seller)
 export const getSellerOrders = async (req, res) => {
   try {
-    const { status, archived } = req.query;
+    const { archived } = req.query;
 
-    const query = { seller: req.user._id };
-    if (status && status !== "all") {
-      query.status = status;
-    }
+    const scope = { seller: req.user._id };
 
     // Filter by archived status (default: show non-archived)
     if (archived === 'true') {
-      query.isArchived = true;
+      scope.isArchived = true;
     } else if (archived === 'false' || archived === undefined) {
-      query.isArchived = { $ne: true };
+      scope.isArchived = { $ne: true };
     }
 
-    const orders = await Order.find(query)
-      .populate("buyer", "name email")
-      .sort({ createdAt: -1 });
+    const { orders, pageInfo } = await findOrderPage(
+      scope,
+      req.query,
+      query => query.populate("buyer", "name email")
+    );
 
     // Count by status (excluding archived for main counts)
     const statusCounts = await Order.aggregate([
@@ -273,9 +555,13 @@ export const getSellerOrders = async (req, res) => {
 
     const counts = {
       pending: 0,
+      awaiting_payment: 0,
       confirmed: 0,
       preparing: 0,
       ready: 0,
+      out_for_delivery: 0,
+      delivered: 0,
+      failed_delivery: 0,
       completed: 0,
       cancelled: 0,
       archived: archivedCount
@@ -287,129 +573,523 @@ export const getSellerOrders = async (req, res) => {
 
     res.json({
       success: true,
-      count: orders.length,
-      statusCounts: counts,
-      orders
+      count: orders.length,
+      statusCounts: counts,
+      orders,
+      pageInfo
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return sendHttpError(res, error);
+    }
+
+    console.error("Get seller orders error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching orders"
+    });
+  }
+};
+
+// @desc    Update order status
+// @route   PUT /api/orders/:id/status
+// @access  Private (Seller)
+export const updateOrderStatus = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const { status, note } = req.body;
+
+    if (!ORDER_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid status"
+      });
+    }
+
+    // Handoff is confirmed with the buyer's pickup code instead
+    if (status === "completed") {
+      return res.status(409).json({
+        success: false,
+        message: "Complete the order by submitting the customer's pickup code"
+      });
+    }
+
+    // Delivery progress is reported through the delivery endpoint
+    if (DELIVERY_STATUSES.includes(status)) {
+      return res.status(409).json({
+        success: false,
+        message: "Update delivery progress from the delivery screen"
+      });
+    }
+
+    let order;
+
+    await session.withTransaction(async () => {
+      order = await Order.findById(req.params.id).session(session);
+
+      if (!order) {
+        throw createHttpError(404, "Order not found");
+      }
+
+      // Check ownership
+      if (order.seller.toString() !== req.user._id.toString()) {
+        throw createHttpError(403, "Not authorized to update this order");
+      }
+
+      // Throws 409 when the move is not in the transition table
+      transitionOrder(order, status, req.user.role, note);
+
+      if (status === "cancelled") {
+        await restockOrder(order, session);
+      }
+
+      await order.save({ session });
+    });
+
+    emitOrderStatusUpdate(order.buyer.toString(), order);
+
+    res.json({
+      success: true,
+      message: "Order status updated",
+      order
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return sendHttpError(res, error);
+    }
+
+    console.error("Update order status error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error updating order"
+    });
+  } finally {
+    await session.endSession();
+  }
+};
+
+// @desc    Verify payment
+// @route   PUT /api/orders/:id/payment
+// @access  Private (Seller)
+export const verifyPayment = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found"
+      });
+    }
+
+    // Check ownership
+    if (order.seller.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to update this order"
+      });
+    }
+
+    transitionOrder(order, "preparing", req.user.role, "Payment verified and order confirmed by seller");
+    order.isPaymentVerified = true;
+
+    const latestProof = order.paymentProofs[order.paymentProofs.length - 1];
+    if (latestProof && latestProof.status === "submitted") {
+      latestProof.status = "verified";
+      latestProof.reviewedAt = new Date();
+    }
+
+    await order.save();
+
+    res.json({
+      success: true,
+      message: "Payment verified",
+      order
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return sendHttpError(res, error);
+    }
+
+    console.error("Verify payment error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error verifying payment"
+    });
+  }
+};
+
+// @desc    Reject payment proof
+// @route   PUT /api/orders/:id/payment/reject
+// @access  Private (Seller)
+export const rejectPayment = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide a reason for rejecting the payment"
+      });
+    }
+
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found"
+      });
+    }
+
+    // Check ownership
+    if (order.seller.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to update this order"
+      });
+    }
+
+    if (order.isPaymentVerified || !order.paymentProof) {
+      return res.status(409).json({
+        success: false,
+        message: "There is no unverified payment proof to reject"
+      });
+    }
+
+    transitionOrder(order, "awaiting_payment", req.user.role, `Payment proof rejected: ${reason.trim()}`);
+
+    const latestProof = order.paymentProofs.find(p => p.url === order.paymentProof);
+    if (latestProof) {
+      latestProof.status = "rejected";
+      latestProof.rejectionReason = reason.trim();
+      latestProof.reviewedAt = new Date();
+    }
+    order.paymentProof = null;
+
+    await order.save();
+
+    await notifyOrderUpdate({
+      userId: order.buyer,
+      order,
+      type: "payment_rejected",
+      heading: "Payment Proof Rejected",
+      message: "The seller could not verify your payment receipt. Please upload a new proof of payment.",
+      details: { Reason: reason.trim() },
+      data: { reason: reason.trim() }
+    });
+
+    res.json({
+      success: true,
+      message: "Payment proof rejected",
+      order
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return sendHttpError(res, error);
+    }
+
+    console.error("Reject payment error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error rejecting payment"
+    });
+  }
+};
+
+// @desc    Submit a new payment proof
+// @route   POST /api/orders/:id/payment-proof
+// @access  Private (Customer)
+export const submitPaymentProof = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: "Please upload a receipt image"
+      });
+    }
+
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      removeUploadedFiles([req.file]);
+      return res.status(404).json({ success: false, message: "Order not found" });
+    }
+
+    if (order.buyer.toString() !== req.user._id.toString()) {
+      removeUploadedFiles([req.file]);
+      return res.status(403).json({ success: false, message: "Not authorized" });
+    }
+
+    // A new proof is accepted after a rejection, or for a QR order placed without one
+    const awaitingProof = order.status === "awaiting_payment" ||
+      (order.status === "pending" && order.paymentMethod === "qr" && !order.paymentProof);
+
+    if (!awaitingProof || order.isPaymentVerified) {
+      removeUploadedFiles([req.file]);
+      return res.status(409).json({
+        success: false,
+        message: "This order is not waiting for a payment proof"
+      });
+    }
+
+    const proofUrl = `/uploads/receipts/${req.file.filename}`;
+
+    if (order.status === "awaiting_payment") {
+      transitionOrder(order, "pending", req.user.role, "New payment proof submitted");
+    } else {
+      order.statusHistory.push({
+        status: order.status,
+        timestamp: new Date(),
+        note: "Payment proof submitted"
+      });
+    }
+
+    const receiptCheck = await checkReceipt(req.file.path, order.seller, [order._id]);
+
+    order.paymentProof = proofUrl;
+    order.paymentProofs.push({
+      url: proofUrl,
+      fileHash: receiptCheck.fileHash,
+      perceptualHash: receiptCheck.perceptualHash
+    });
+    order.receiptChecks = receiptCheck;
+
+    await order.save();
+
+    await notifyOrderUpdate({
+      userId: order.seller,
+      order,
+      type: "payment_proof_submitted",
+      heading: "New Payment Proof",
+      message: `${req.user.name} uploaded a new payment receipt. Please review it.`,
+      data: { receiptWarnings: receiptCheck.warnings.length }
+    });
+
+    res.json({
+      success: true,
+      message: "Payment proof submitted",
+      order
+    });
+  } catch (error) {
+    removeUploadedFiles(req.file ? [req.file] : null);
+
+    if (error.statusCode) {
+      return sendHttpError(res, error);
+    }
+
+    console.error("Submit payment proof error:", error);
+    res.status(500).json({ success: false, message: "Server error submitting payment proof" });
+  }
+};
+
+// @desc    Get single order
+// @route   GET /api/orders/:id
+// @access  Private
+export const getOrder = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id)
+      .populate("buyer", "name email")
+      .populate("seller", "name");
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found"
+      });
+    }
+
+    // Check if user is buyer, seller or the assigned rider
+    const isBuyer = order.buyer._id.toString() === req.user._id.toString();
+    const isSeller = order.seller._id.toString() === req.user._id.toString();
+    const isRider = order.rider?.toString() === req.user._id.toString();
+
+    if (!isBuyer && !isSeller && !isRider) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to view this order"
+      });
+    }
+
+    res.json({
+      success: true,
+      order
     });
   } catch (error) {
-    console.error("Get seller orders error:", error);
+    console.error("Get order error:", error);
     res.status(500).json({
       success: false,
-      message: "Server error fetching orders"
+      message: "Server error fetching order"
     });
   }
 };
 
-// @desc    Update order status
-// @route   PUT /api/orders/:id/status
-// @access  Private (Seller)
-export const updateOrderStatus = async (req, res) => {
+// @desc    Get the pickup code and QR the buyer shows at the stall
+// @route   GET /api/orders/:id/pickup-code
+// @access  Private (Customer)
+export const getPickupCode = async (req, res) => {
   try {
-    const { status, note } = req.body;
+    const order = await Order.findById(req.params.id).select("+pickupCode");
 
-    // Simplified status flow: pending -> preparing -> completed
-    const validStatuses = ["pending", "preparing", "completed", "cancelled"];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid status"
-      });
+    if (!order) {
+      return res.status(404).json({ success: false, message: "Order not found" });
     }
 
-    const order = await Order.findById(req.params.id);
-
-    if (!order) {
-      return res.status(404).json({
-        success: false,
-        message: "Order not found"
-      });
+    if (order.buyer.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ success: false, message: "Not authorized" });
     }
 
-    // Check ownership
-    if (order.seller.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
+    if (["completed", "cancelled"].includes(order.status)) {
+      return res.status(409).json({
         success: false,
-        message: "Not authorized to update this order"
+        message: `Order is already ${order.status}`
       });
     }
 
-    order.status = status;
-    order.statusHistory.push({
-      status,
-      timestamp: new Date(),
-      note: note || `Status updated to ${status}`
-    });
-
-    await order.save();
+    // Orders placed before pickup codes existed get one on first request
+    if (!order.pickupCode) {
+      order.pickupCode = generatePickupCode();
+      await Order.updateOne({ _id: order._id, pickupCode: null }, { $set: { pickupCode: order.pickupCode } });
+      const saved = await Order.findById(order._id).select("+pickupCode");
+      order.pickupCode = saved.pickupCode;
+    }
 
     res.json({
       success: true,
-      message: "Order status updated",
-      order
+      code: order.pickupCode,
+      qr: await renderPickupQR(order, order.pickupCode)
     });
   } catch (error) {
-    console.error("Update order status error:", error);
-    res.status(500).json({
-      success: false,
-      message: "Server error updating order"
-    });
+    console.error("Get pickup code error:", error);
+    res.status(500).json({ success: false, message: "Server error fetching pickup code" });
   }
 };
 
-// @desc    Verify payment
-// @route   PUT /api/orders/:id/payment
-// @access  Private (Seller)
-export const verifyPayment = async (req, res) => {
+// @desc    Complete an order with the buyer's pickup code (typed, scanned text or QR image)
+// @route   PUT /api/orders/:id/complete
+// @access  Private (Seller, assigned Rider)
+export const completeWithPickupCode = async (req, res) => {
   try {
-    const order = await Order.findById(req.params.id);
+    let order = await Order.findById(req.params.id);
 
     if (!order) {
-      return res.status(404).json({
+      return res.status(404).json({ success: false, message: "Order not found" });
+    }
+
+    const isSeller = order.seller.toString() === req.user._id.toString();
+    const isRider = order.rider?.toString() === req.user._id.toString();
+
+    if (!isSeller && !isRider) {
+      return res.status(403).json({ success: false, message: "Not authorized" });
+    }
+
+    let submitted = null;
+    if (req.file) {
+      submitted = await readPickupScan(req.file.buffer);
+      if (!submitted) {
+        return res.status(400).json({ success: false, message: "No QR code found in the image" });
+      }
+    } else if (req.body.code) {
+      submitted = parsePickupCode(req.body.code);
+    } else {
+      return res.status(400).json({ success: false, message: "Please enter or scan the pickup code" });
+    }
+
+    // Orders that cannot be completed yet do not use up an attempt
+    if (!canTransition(order.status, "completed", req.user.role)) {
+      return res.status(409).json({
         success: false,
-        message: "Order not found"
+        message: `Order cannot be moved from ${order.status} to completed`,
+        currentStatus: order.status
       });
     }
 
-    // Check ownership
-    if (order.seller.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
+    // Each attempt is recorded as a failure up front, in the same conditional update
+    // that checks the limit, so parallel guesses cannot all see the same count
+    const now = new Date();
+    const windowStart = new Date(now.getTime() - PICKUP_ATTEMPT_WINDOW_MINUTES * 60 * 1000);
+    const isRecentFailure = { $and: [{ $eq: ["$$a.success", false] }, { $gt: ["$$a.attemptedAt", windowStart] }] };
+    const attempt = { _id: new mongoose.Types.ObjectId(), user: req.user._id, success: false, ip: req.ip, attemptedAt: now };
+
+    order = await Order.findOneAndUpdate(
+      {
+        _id: order._id,
+        $expr: {
+          $lt: [
+            { $size: { $filter: { input: { $ifNull: ["$pickupAttempts", []] }, as: "a", cond: isRecentFailure } } },
+            MAX_FAILED_PICKUP_ATTEMPTS
+          ]
+        }
+      },
+      { $push: { pickupAttempts: attempt } },
+      { new: true }
+    ).select("+pickupCode +pickupAttempts");
+
+    if (!order) {
+      const locked = await Order.findById(req.params.id).select("+pickupAttempts");
+      const recentFailures = locked.pickupAttempts.filter(a => !a.success && a.attemptedAt > windowStart);
+      const retryAt = new Date(recentFailures[0].attemptedAt.getTime() + PICKUP_ATTEMPT_WINDOW_MINUTES * 60 * 1000);
+      res.set("Retry-After", String(Math.ceil((retryAt - Date.now()) / 1000)));
+      return res.status(429).json({
         success: false,
-        message: "Not authorized to update this order"
+        message: "Too many wrong pickup codes. Please try again later.",
+        retryAt
       });
     }
 
-    order.isPaymentVerified = true;
-    order.status = "preparing";
-    order.statusHistory.push({
-      status: "preparing",
-      timestamp: new Date(),
-      note: "Payment verified and order confirmed by seller"
-    });
+    const valid = (!submitted.orderId || submitted.orderId === order._id.toString()) &&
+      pickupCodesMatch(order.pickupCode, submitted.code);
 
+    if (!valid) {
+      const recentFailures = order.pickupAttempts.filter(a => !a.success && a.attemptedAt > windowStart);
+      console.warn(`[Pickup] Wrong pickup code for order ${order._id} from ${req.user.role} ${req.user._id} (${req.ip})`);
+
+      return res.status(400).json({
+        success: false,
+        message: "Pickup code does not match this order",
+        attemptsLeft: MAX_FAILED_PICKUP_ATTEMPTS - recentFailures.length
+      });
+    }
+
+    transitionOrder(order, "completed", req.user.role, "Handed over after pickup code check");
+    order.pickupAttempts.id(attempt._id).success = true;
     await order.save();
 
-    res.json({
-      success: true,
-      message: "Payment verified",
-      order
+    emitOrderStatusUpdate(order.buyer.toString(), order);
+
+    await notifyOrderUpdate({
+      userId: order.buyer,
+      order,
+      type: "order_completed",
+      heading: "Order Completed",
+      message: "Your order has been handed over. Thank you for shopping at the market!"
     });
+
+    // The code has served its purpose; keep it out of the response
+    const completed = order.toObject();
+    delete completed.pickupCode;
+    delete completed.pickupAttempts;
+
+    res.json({ success: true, message: "Order completed", order: completed });
   } catch (error) {
-    console.error("Verify payment error:", error);
-    res.status(500).json({
-      success: false,
-      message: "Server error verifying payment"
-    });
+    if (error.statusCode) {
+      return sendHttpError(res, error);
+    }
+
+    console.error("Complete order error:", error);
+    res.status(500).json({ success: false, message: "Server error completing order" });
   }
 };
 
-// @desc    Get single order
-// @route   GET /api/orders/:id
-// @access  Private
-export const getOrder = async (req, res) => {
+// @desc    Download a printable PDF receipt for an order
+// @route   GET /api/orders/:id/receipt
+// @access  Private (Buyer or Seller of the order)
+export const getOrderReceipt = async (req, res) => {
   try {
     const order = await Order.findById(req.params.id)
-      .populate("buyer", "name email")
-      .populate("seller", "name");
+      .populate("buyer", "name")
+      .populate("seller", "name stallName stallNumber");
 
     if (!order) {
       return res.status(404).json({
@@ -418,7 +1098,6 @@ export const getOrder = async (req, res) => {
       });
     }
 
-    // Check if user is buyer or seller
     const isBuyer = order.buyer._id.toString() === req.user._id.toString();
     const isSeller = order.seller._id.toString() === req.user._id.toString();
 
@@ -429,15 +1108,38 @@ export const getOrder = async (req, res) => {
       });
     }
 
-    res.json({
-      success: true,
-      order
+    sendReceiptPdf(res, order);
+  } catch (error) {
+    console.error("Get order receipt error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error generating receipt"
     });
+  }
+};
+
+// @desc    Download packing slips for all orders being prepared
+// @route   GET /api/orders/seller/packing-slips
+// @access  Private (Seller)
+export const getPackingSlips = async (req, res) => {
+  try {
+    const orders = await Order.find({ seller: req.user._id, status: "preparing" })
+      .populate("buyer", "name")
+      .sort({ "scheduledSlot.start": 1, createdAt: 1 });
+
+    if (orders.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "No orders are being prepared"
+      });
+    }
+
+    sendPackingSlipsPdf(res, orders);
   } catch (error) {
-    console.error("Get order error:", error);
+    console.error("Get packing slips error:", error);
     res.status(500).json({
       success: false,
-      message: "Server error fetching order"
+      message: "Server error generating packing slips"
     });
   }
 };
@@ -554,6 +1256,8 @@ export const bulkArchiveOrders = async (req, res) => {
 // @route   PUT /api/orders/bulk-cancel
 // @access  Private (Seller)
 export const bulkCancelOrders = async (req, res) => {
+  const session = await mongoose.startSession();
+
   try {
     const { orderIds } = req.body;
 
@@ -564,62 +1268,55 @@ export const bulkCancelOrders = async (req, res) => {
       });
     }
 
-    // Verify all orders belong to this seller
-    const orders = await Order.find({
-      _id: { $in: orderIds },
-      seller: req.user._id
-    });
+    let orders = [];
+    let cancellableOrders = [];
 
-    if (orders.length !== orderIds.length) {
-      return res.status(403).json({
-        success: false,
-        message: "Some orders were not found or you don't have permission"
-      });
-    }
+    await session.withTransaction(async () => {
+      // Verify all orders belong to this seller
+      orders = await Order.find({
+        _id: { $in: orderIds },
+        seller: req.user._id
+      }).session(session);
 
-    // Only cancel orders that are not already completed or cancelled
-    const cancellableOrders = orders.filter(o =>
-      !["completed", "cancelled"].includes(o.status)
-    );
+      if (orders.length !== orderIds.length) {
+        throw createHttpError(403, "Some orders were not found or you don't have permission");
+      }
 
-    if (cancellableOrders.length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: "No cancellable orders found. Orders that are completed or already cancelled cannot be cancelled."
-      });
-    }
+      // Only cancel orders whose current status allows the seller to cancel them
+      cancellableOrders = orders.filter(o =>
+        canTransition(o.status, "cancelled", req.user.role)
+      );
 
-    // Cancel each order and restore stock
-    for (const order of cancellableOrders) {
-      // Restore stock for each item
-      for (const item of order.items) {
-        const product = await Product.findById(item.product);
-        if (product) {
-          product.quantity += item.quantity;
-          await product.save();
-        }
+      if (cancellableOrders.length === 0) {
+        throw createHttpError(409, "No cancellable orders found. Orders that are completed or already cancelled cannot be cancelled.");
       }
 
-      order.status = "cancelled";
-      order.statusHistory.push({
-        status: "cancelled",
-        timestamp: new Date(),
-        note: "Cancelled by seller"
-      });
-      await order.save();
-    }
+      // Cancel each order and restore stock
+      for (const order of cancellableOrders) {
+        transitionOrder(order, "cancelled", req.user.role, "Cancelled by seller");
+        await restockOrder(order, session);
+        await order.save({ session });
+      }
+    });
 
     res.json({
       success: true,
       message: `${cancellableOrders.length} order(s) cancelled successfully`,
-      count: cancellableOrders.length
+      count: cancellableOrders.length,
+      skipped: orders.length - cancellableOrders.length
     });
   } catch (error) {
+    if (error.statusCode) {
+      return sendHttpError(res, error);
+    }
+
     console.error("Bulk cancel error:", error);
     res.status(500).json({
       success: false,
       message: "Server error during bulk cancel"
     });
+  } finally {
+    await session.endSession();
   }
 };
 
@@ -628,328 +1325,140 @@ export const bulkCancelOrders = async (req, res) => {
 // @access  Private (Seller)
 export const getSellerAnalytics = async (req, res) => {
   try {
-    const sellerId = req.user._id;
-    const { startDate, endDate, period } = req.query;
+    const range = resolveAnalyticsRange(req.query);
 
-    // Build date filter
-    let dateFilter = {};
-    const now = new Date();
+    const [metrics, marketComparison, sellerIncomeOverTime] = await Promise.all([
+      getSellerMetrics(req.user._id, range),
+      getMarketComparison(range),
+      getSellerIncomeOverTime()
+    ]);
 
-    if (startDate && endDate) {
-      // Custom date range
-      dateFilter = {
-        createdAt: {
-          $gte: new Date(startDate),
-          $lte: new Date(new Date(endDate).setHours(23, 59, 59, 999))
-        }
-      };
-    } else if (period) {
-      const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-
-      switch (period) {
-        case 'today':
-          dateFilter = { createdAt: { $gte: startOfToday } };
-          break;
-        case 'week':
-          const weekAgo = new Date(startOfToday);
-          weekAgo.setDate(weekAgo.getDate() - 7);
-          dateFilter = { createdAt: { $gte: weekAgo } };
-          break;
-        case 'month':
-          const monthAgo = new Date(startOfToday);
-          monthAgo.setMonth(monthAgo.getMonth() - 1);
-          dateFilter = { createdAt: { $gte: monthAgo } };
-          break;
-        case 'year':
-          const yearAgo = new Date(startOfToday);
-          yearAgo.setFullYear(yearAgo.getFullYear() - 1);
-          dateFilter = { createdAt: { $gte: yearAgo } };
-          break;
-        default:
-          // All time - no filter
-          break;
+    res.json({
+      success: true,
+      analytics: {
+        range: {
+          start: range.start,
+          end: range.end,
+          granularity: range.granularity
+        },
+        ...metrics,
+        marketComparison,
+        sellerIncomeOverTime
       }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return sendHttpError(res, error);
     }
 
-    const baseQuery = { seller: sellerId, ...dateFilter };
-
-    // Get all orders for the period
-    const orders = await Order.find(baseQuery);
-
-    // Calculate metrics
-    const completedOrders = orders.filter(o => o.status === 'completed');
-    const totalRevenue = completedOrders.reduce((sum, o) => sum + o.total, 0);
-    const totalOrders = orders.length;
-    const pendingOrders = orders.filter(o => o.status === 'pending').length;
-    const cancelledOrders = orders.filter(o => o.status === 'cancelled').length;
-    const averageOrderValue = completedOrders.length > 0 ? totalRevenue / completedOrders.length : 0;
-
-    // Payment method breakdown
-    const paymentBreakdown = {
-      qr: orders.filter(o => o.paymentMethod === 'qr' || !o.paymentMethod).length,
-      cod: orders.filter(o => o.paymentMethod === 'cod').length
-    };
-
-    // Status breakdown
-    const statusBreakdown = {
-      pending: orders.filter(o => o.status === 'pending').length,
-      confirmed: orders.filter(o => o.status === 'confirmed').length,
-      preparing: orders.filter(o => o.status === 'preparing').length,
-      ready: orders.filter(o => o.status === 'ready').length,
-      completed: orders.filter(o => o.status === 'completed').length,
-      cancelled: orders.filter(o => o.status === 'cancelled').length
-    };
+    console.error("Get seller analytics error:", error);
 
-    // Top selling products
-    const productSales = {};
-    for (const order of completedOrders) {
-      for (const item of order.items) {
-        const key = item.product?.toString() || item.name;
-        if (!productSales[key]) {
-          productSales[key] = {
-            name: item.name,
-            quantity: 0,
-            revenue: 0,
-            image: item.image
-          };
-        }
-        productSales[key].quantity += item.quantity;
-        productSales[key].revenue += item.price * item.quantity;
-      }
-    }
-    const topProducts = Object.values(productSales)
-      .sort((a, b) => b.revenue - a.revenue)
-      .slice(0, 5);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching analytics"
+    });
+  }
+};
 
-    // Sales over time (daily for last 7 days, weekly for month, monthly for year)
-    const salesOverTime = [];
-    const groupByDate = {};
+const EXPORT_SHEETS = ["orders", "products", "days"];
 
-    for (const order of completedOrders) {
-      const date = order.createdAt.toISOString().split('T')[0];
-      if (!groupByDate[date]) {
-        groupByDate[date] = { date, orders: 0, revenue: 0 };
-      }
-      groupByDate[date].orders += 1;
-      groupByDate[date].revenue += order.total;
-    }
+// @desc    Export seller analytics as CSV (one sheet) or XLSX (all sheets)
+// @route   GET /api/orders/seller/analytics/export?format=csv|xlsx&sheet=orders|products|days
+// @access  Private (Seller)
+export const exportSellerAnalytics = async (req, res) => {
+  try {
+    const format = req.query.format || "xlsx";
+    const sheet = req.query.sheet || "orders";
 
-    // Get last 14 days of data
-    for (let i = 13; i >= 0; i--) {
-      const d = new Date(now);
-      d.setDate(d.getDate() - i);
-      const dateStr = d.toISOString().split('T')[0];
-      salesOverTime.push(groupByDate[dateStr] || { date: dateStr, orders: 0, revenue: 0 });
+    if (!["csv", "xlsx"].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid format. Use csv or xlsx"
+      });
     }
 
-    // Comparison with previous period
-    let previousPeriodRevenue = 0;
-    if (period && period !== 'all') {
-      const periodDays = period === 'today' ? 1 : period === 'week' ? 7 : period === 'month' ? 30 : 365;
-      const prevStart = new Date(now);
-      prevStart.setDate(prevStart.getDate() - (periodDays * 2));
-      const prevEnd = new Date(now);
-      prevEnd.setDate(prevEnd.getDate() - periodDays);
-
-      const prevOrders = await Order.find({
-        seller: sellerId,
-        status: 'completed',
-        createdAt: { $gte: prevStart, $lt: prevEnd }
+    if (format === "csv" && !EXPORT_SHEETS.includes(sheet)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid sheet. Use one of: ${EXPORT_SHEETS.join(", ")}`
       });
-      previousPeriodRevenue = prevOrders.reduce((sum, o) => sum + o.total, 0);
     }
 
-    const revenueChange = previousPeriodRevenue > 0
-      ? ((totalRevenue - previousPeriodRevenue) / previousPeriodRevenue) * 100
-      : 0;
-
-    // Global Market Comparison (Across all sellers for the same period)
-    const marketComparison = await Order.aggregate([
-      {
-        $match: {
-          status: 'completed',
-          createdAt: dateFilter.createdAt || { $exists: true }
-        }
-      },
-      {
-        $group: {
-          _id: '$marketLocation',
-          revenue: { $sum: '$total' },
-          orders: { $sum: 1 }
-        }
-      }
-    ]);
-
-    // Format market comparison to ensure both markets are present
-    const marketData = [
-      { name: 'San Nicolas Market', revenue: 0, orders: 0 },
-      { name: 'Pampang Public Market', revenue: 0, orders: 0 }
-    ].map(m => {
-      const found = marketComparison.find(c => c._id === m.name);
-      return found ? { name: m.name, revenue: found.revenue, orders: found.orders } : m;
-    });
-
-    // Seller Income Over Time (All sellers across markets for line chart)
-    // Get last 14 days of data per seller
-    const fourteenDaysAgo = new Date(now);
-    fourteenDaysAgo.setDate(fourteenDaysAgo.getDate() - 14);
+    const range = resolveAnalyticsRange(req.query);
+    const sheets = await getSellerExportSheets(req.user._id, range);
+    const filename = `mealwise-sales-${new Date().toISOString().split("T")[0]}`;
 
-    const sellerIncomeData = await Order.aggregate([
-      {
-        $match: {
-          status: 'completed',
-          createdAt: { $gte: fourteenDaysAgo }
-        }
-      },
-      {
-        $lookup: {
-          from: 'users',
-          localField: 'seller',
-          foreignField: '_id',
-          as: 'sellerInfo'
-        }
-      },
-      {
-        $unwind: '$sellerInfo'
-      },
-      {
-        $group: {
-          _id: {
-            sellerId: '$seller',
-            sellerName: '$sellerInfo.name',
-            marketLocation: '$marketLocation',
-            date: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }
-          },
-          revenue: { $sum: '$total' }
-        }
-      },
-      {
-        $group: {
-          _id: {
-            sellerId: '$_id.sellerId',
-            sellerName: '$_id.sellerName',
-            marketLocation: '$_id.marketLocation'
-          },
-          dailyRevenue: {
-            $push: {
-              date: '$_id.date',
-              revenue: '$revenue'
-            }
-          },
-          totalRevenue: { $sum: '$revenue' }
-        }
-      },
-      {
-        $sort: { totalRevenue: -1 }
-      },
-      {
-        $limit: 10 // Top 10 sellers
-      }
-    ]);
+    if (format === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="${filename}-${sheet}.csv"`);
+      return res.send(toCsv(sheets[EXPORT_SHEETS.indexOf(sheet)]));
+    }
 
-    // Format seller income over time - create complete 14-day series for each seller
-    const sellerIncomeOverTime = sellerIncomeData.map(seller => {
-      const revenueByDate = {};
-      seller.dailyRevenue.forEach(d => {
-        revenueByDate[d.date] = d.revenue;
-      });
-
-      // Build complete 14-day series
-      const timeSeries = [];
-      for (let i = 13; i >= 0; i--) {
-        const d = new Date(now);
-        d.setDate(d.getDate() - i);
-        const dateStr = d.toISOString().split('T')[0];
-        timeSeries.push({
-          date: dateStr,
-          revenue: revenueByDate[dateStr] || 0
-        });
-      }
+    res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}.xlsx"`);
+    res.send(toXlsx(sheets));
+  } catch (error) {
+    if (error.statusCode) {
+      return sendHttpError(res, error);
+    }
 
-      return {
-        sellerId: seller._id.sellerId,
-        sellerName: seller._id.sellerName,
-        marketLocation: seller._id.marketLocation,
-        totalRevenue: seller.totalRevenue,
-        timeSeries
-      };
-    });
+    console.error("Export seller analytics error:", error);
 
-    res.json({
-      success: true,
-      analytics: {
-        summary: {
-          totalRevenue,
-          totalOrders,
-          completedOrders: completedOrders.length,
-          pendingOrders,
-          cancelledOrders,
-          averageOrderValue,
-          revenueChange: Math.round(revenueChange * 10) / 10
-        },
-        paymentBreakdown,
-        statusBreakdown,
-        topProducts,
-        salesOverTime,
-        marketComparison: marketData,
-        sellerIncomeOverTime
-      }
-    });
-  } catch (error) {
-    console.error("Get seller analytics error:", error);
     res.status(500).json({
       success: false,
-      message: "Server error fetching analytics"
+      message: "Server error exporting analytics"
     });
   }
 };
+
 // @desc    Cancel order by customer
 // @route   PUT /api/orders/:id/cancel-customer
 // @access  Private (Customer)
 export const cancelOrderByCustomer = async (req, res) => {
+  const session = await mongoose.startSession();
+
   try {
     const { reason } = req.body;
-    const order = await Order.findById(req.params.id);
+    let order;
 
-    if (!order) {
-      return res.status(404).json({ success: false, message: "Order not found" });
-    }
+    await session.withTransaction(async () => {
+      order = await Order.findById(req.params.id).session(session);
 
-    // Check ownership
-    if (order.buyer.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ success: false, message: "Not authorized" });
-    }
+      if (!order) {
+        throw createHttpError(404, "Order not found");
+      }
 
-    // Only pending or confirmed orders can be cancelled by customer
-    if (!["pending", "confirmed"].includes(order.status)) {
-      return res.status(400).json({
-        success: false,
-        message: `Order cannot be cancelled in its current status: ${order.status}`
-      });
-    }
+      // Check ownership
+      if (order.buyer.toString() !== req.user._id.toString()) {
+        throw createHttpError(403, "Not authorized");
+      }
 
-    // Restore stock
-    for (const item of order.items) {
-      const product = await Product.findById(item.product);
-      if (product) {
-        product.quantity += item.quantity;
-        await product.save();
+      // Customers may only cancel before the seller starts preparing
+      if (!canTransition(order.status, "cancelled", req.user.role)) {
+        throw createHttpError(409, `Order cannot be cancelled in its current status: ${order.status}`);
       }
-    }
 
-    order.status = "cancelled";
-    order.statusHistory.push({
-      status: "cancelled",
-      timestamp: new Date(),
-      note: reason ? `Cancelled by customer. Reason: ${reason}` : "Cancelled by customer"
-    });
+      transitionOrder(
+        order,
+        "cancelled",
+        req.user.role,
+        reason ? `Cancelled by customer. Reason: ${reason}` : "Cancelled by customer"
+      );
+      await restockOrder(order, session);
 
-    await order.save();
+      await order.save({ session });
+    });
 
     res.json({ success: true, message: "Order cancelled successfully", order });
   } catch (error) {
+    if (error.statusCode) {
+      return sendHttpError(res, error);
+    }
+
     console.error("Cancel order error:", error);
     res.status(500).json({ success: false, message: "Server error cancelling order" });
+  } finally {
+    await session.endSession();
   }
 };
 
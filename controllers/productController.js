@@ -1,5 +1,9 @@
+import mongoose from "mongoose";
 import Product from "../models/Product.js";
 import User from "../models/User.js";
+import { createHttpError, sendHttpError } from "../utils/httpError.js";
+import { roundQuantity } from "../utils/units.js";
+import { DEFAULT_HISTORY_WEEKS, forecastSellerDemand } from "../utils/demandForecast.js";
 
 // @desc    Get all verified sellers
 // @route   GET /api/products/sellers
@@ -37,7 +41,7 @@ const __dirname = path.dirname(__filename);
 // @access  Private (Seller only)
 export const createProduct = async (req, res) => {
   try {
-    const { name, description, price, quantity, unit, category, productType, isAvailable, image, lowStockThreshold } = req.body;
+    const { name, description, price, quantity, unit, variants, category, productType, isAvailable, image, lowStockThreshold } = req.body;
 
     // Use seller's market location from their profile
     const marketLocation = req.user.marketLocation;
@@ -55,6 +59,7 @@ export const createProduct = async (req, res) => {
       price,
       quantity,
       unit,
+      variants,
       category,
       productType,
       seller: req.user._id,
@@ -100,11 +105,17 @@ export const getSellerProducts = async (req, res) => {
     const lowStockProducts = products.filter(p => p.quantity <= p.lowStockThreshold);
     const outOfStock = products.filter(p => p.quantity === 0);
 
+    // quantity is free stock; heldQuantity sits in customers' carts until checkout or expiry
+    const heldProducts = products.filter(p => p.heldQuantity > 0);
+    const totalHeld = heldProducts.reduce((sum, p) => sum + p.heldQuantity, 0);
+
     res.json({
       success: true,
       count: totalProducts,
       lowStockCount: lowStockProducts.length,
       outOfStockCount: outOfStock.length,
+      heldProductCount: heldProducts.length,
+      totalHeldQuantity: totalHeld,
       products
     });
   } catch (error) {
@@ -116,6 +127,33 @@ export const getSellerProducts = async (req, res) => {
   }
 };
 
+// @desc    Forecast tomorrow's demand and recommended stock per product
+// @route   GET /api/products/seller/forecast?weeks=8
+// @access  Private (Seller only)
+export const getDemandForecast = async (req, res) => {
+  try {
+    const weeks = req.query.weeks === undefined ? DEFAULT_HISTORY_WEEKS : Number(req.query.weeks);
+    const result = await forecastSellerDemand(req.user._id, { weeks });
+
+    res.json({
+      success: true,
+      ...result,
+      spoilageCount: result.forecasts.filter(f => f.likelyToSpoil).length
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return sendHttpError(res, error);
+    }
+
+    console.error("Get demand forecast error:", error);
+
+    res.status(500).json({
+      success: false,
+      message: "Server error forecasting demand"
+    });
+  }
+};
+
 // @desc    Get all available products (public)
 // @route   GET /api/products
 // @access  Public
@@ -184,41 +222,60 @@ export const getProduct = async (req, res) => {
   }
 };
 
-// @desc    Update product
+// @desc    Update product (quantity is the total stock, including stock held in carts)
 // @route   PUT /api/products/:id
 // @access  Private (Seller - owner only)
 export const updateProduct = async (req, res) => {
-  try {
-    let product = await Product.findById(req.params.id);
+  const session = await mongoose.startSession();
 
-    if (!product) {
-      return res.status(404).json({
+  try {
+    // Sellers edit total stock; stock held in carts stays held
+    const totalQuantity = req.body.quantity === undefined ? undefined : Number(req.body.quantity);
+    if (totalQuantity !== undefined && (!Number.isFinite(totalQuantity) || totalQuantity < 0)) {
+      return res.status(400).json({
         success: false,
-        message: "Product not found"
+        message: "Quantity cannot be negative"
       });
     }
 
-    // Check ownership
-    if (product.seller.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
-        success: false,
-        message: "Not authorized to update this product"
-      });
-    }
+    let product;
 
-    // Update fields
-    const allowedUpdates = [
-      "name", "description", "price", "quantity", "unit",
-      "category", "productType", "isAvailable", "image", "lowStockThreshold"
-    ];
+    // Cart holds move stock between quantity and heldQuantity in the same document,
+    // so a hold racing this edit conflicts and the transaction retries
+    await session.withTransaction(async () => {
+      product = await Product.findById(req.params.id).session(session);
 
-    allowedUpdates.forEach(field => {
-      if (req.body[field] !== undefined) {
-        product[field] = req.body[field];
+      if (!product) {
+        throw createHttpError(404, "Product not found");
       }
-    });
 
-    await product.save();
+      // Check ownership
+      if (product.seller.toString() !== req.user._id.toString()) {
+        throw createHttpError(403, "Not authorized to update this product");
+      }
+
+      // Update fields. Variants are replaced as a list; send each kept variant's _id
+      // so carts and orders that refer to it stay linked
+      const allowedUpdates = [
+        "name", "description", "price", "unit", "variants",
+        "category", "productType", "isAvailable", "image", "lowStockThreshold"
+      ];
+
+      allowedUpdates.forEach(field => {
+        if (req.body[field] !== undefined) {
+          product[field] = req.body[field];
+        }
+      });
+
+      if (totalQuantity !== undefined) {
+        if (totalQuantity < product.heldQuantity) {
+          throw createHttpError(400, `Stock cannot be less than the ${product.heldQuantity} ${product.unit} held in customers' carts`);
+        }
+        product.quantity = roundQuantity(totalQuantity - product.heldQuantity);
+      }
+
+      await product.save({ session });
+    });
 
     res.json({
       success: true,
@@ -226,6 +283,10 @@ export const updateProduct = async (req, res) => {
       product
     });
   } catch (error) {
+    if (error.statusCode) {
+      return sendHttpError(res, error);
+    }
+
     console.error("Update product error:", error);
 
     if (error.name === "ValidationError") {
@@ -240,6 +301,8 @@ export const updateProduct = async (req, res) => {
       success: false,
       message: "Server error updating product"
     });
+  } finally {
+    await session.endSession();
   }
 };
 
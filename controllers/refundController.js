@@ -0,0 +1,216 @@
+import fs from "fs";
+import mongoose from "mongoose";
+import Order from "../models/Order.js";
+import { createHttpError, sendHttpError } from "../utils/httpError.js";
+import { notifyOrderUpdate } from "../utils/orderNotifications.js";
+import { priceRefund } from "../utils/refunds.js";
+
+// Notify a user about a refund update (socket + email)
+const notifyRefundUpdate = ({ userId, order, refund, type, heading, message }) => {
+  return notifyOrderUpdate({
+    userId,
+    order,
+    type,
+    heading,
+    message,
+    details: {
+      "Refund Amount": `₱${refund.amount.toFixed(2)}`,
+      "Refund Status": refund.status,
+      ...(refund.reason && { Reason: refund.reason })
+    },
+    data: { refundId: refund._id, amount: refund.amount, refundStatus: refund.status }
+  });
+};
+
+// @desc    Request a refund (full, or for individual line items)
+// @route   POST /api/orders/:id/refunds
+// @access  Private (Customer, Seller)
+export const requestRefund = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const { reason, items } = req.body;
+
+    let order;
+    let refund;
+    let isBuyer;
+
+    // Checked and saved in one transaction: a concurrent refund on the same order
+    // conflicts and retries against the refunds saved in the meantime
+    await session.withTransaction(async () => {
+      order = await Order.findById(req.params.id).session(session);
+
+      if (!order) {
+        throw createHttpError(404, "Order not found");
+      }
+
+      isBuyer = order.buyer.toString() === req.user._id.toString();
+      const isSeller = order.seller.toString() === req.user._id.toString();
+
+      if (!isBuyer && !isSeller) {
+        throw createHttpError(403, "Not authorized");
+      }
+
+      if (order.paymentMethod !== "qr" || !order.isPaymentVerified) {
+        throw createHttpError(400, "Only orders with a verified QR payment can be refunded");
+      }
+
+      const { amount, items: refundItems } = priceRefund(order, items);
+
+      order.refunds.push({
+        amount,
+        reason,
+        items: refundItems,
+        requestedBy: req.user._id
+      });
+      refund = order.refunds[order.refunds.length - 1];
+
+      order.statusHistory.push({
+        status: order.status,
+        timestamp: new Date(),
+        note: `Refund of ₱${amount.toFixed(2)} requested by ${isBuyer ? "customer" : "seller"}`
+      });
+
+      await order.save({ session });
+    });
+
+    await notifyRefundUpdate({
+      userId: isBuyer ? order.seller : order.buyer,
+      order,
+      refund,
+      type: "refund_requested",
+      heading: "Refund Requested",
+      message: `A refund of ₱${refund.amount.toFixed(2)} has been requested for this order.`
+    });
+
+    res.status(201).json({ success: true, message: "Refund requested", refund, order });
+  } catch (error) {
+    if (error.statusCode) {
+      return sendHttpError(res, error);
+    }
+
+    console.error("Request refund error:", error);
+    res.status(500).json({ success: false, message: "Server error requesting refund" });
+  } finally {
+    await session.endSession();
+  }
+};
+
+// @desc    Mark a refund as issued, with proof of transfer
+// @route   PUT /api/orders/:id/refunds/:refundId/issue
+// @access  Private (Seller)
+export const issueRefund = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      if (req.file) fs.unlinkSync(req.file.path);
+      return res.status(404).json({ success: false, message: "Order not found" });
+    }
+
+    if (order.seller.toString() !== req.user._id.toString()) {
+      if (req.file) fs.unlinkSync(req.file.path);
+      return res.status(403).json({ success: false, message: "Not authorized" });
+    }
+
+    const refund = order.refunds.id(req.params.refundId);
+
+    if (!refund) {
+      if (req.file) fs.unlinkSync(req.file.path);
+      return res.status(404).json({ success: false, message: "Refund not found" });
+    }
+
+    if (refund.status !== "requested") {
+      if (req.file) fs.unlinkSync(req.file.path);
+      return res.status(409).json({ success: false, message: `Refund is already ${refund.status}` });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: "Please upload proof of the refund" });
+    }
+
+    refund.status = "issued";
+    refund.proof = `/uploads/receipts/${req.file.filename}`;
+    refund.issuedAt = new Date();
+
+    order.statusHistory.push({
+      status: order.status,
+      timestamp: new Date(),
+      note: `Refund of ₱${refund.amount.toFixed(2)} issued by seller`
+    });
+
+    await order.save();
+
+    await notifyRefundUpdate({
+      userId: order.buyer,
+      order,
+      refund,
+      type: "refund_issued",
+      heading: "Refund Issued",
+      message: `The seller has sent your refund of ₱${refund.amount.toFixed(2)}. Please confirm once you receive it.`
+    });
+
+    res.json({ success: true, message: "Refund marked as issued", refund, order });
+  } catch (error) {
+    console.error("Issue refund error:", error);
+    if (req.file && fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
+    res.status(500).json({ success: false, message: "Server error issuing refund" });
+  }
+};
+
+// @desc    Confirm a refund was received
+// @route   PUT /api/orders/:id/refunds/:refundId/confirm
+// @access  Private (Customer)
+export const confirmRefund = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({ success: false, message: "Order not found" });
+    }
+
+    if (order.buyer.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ success: false, message: "Not authorized" });
+    }
+
+    const refund = order.refunds.id(req.params.refundId);
+
+    if (!refund) {
+      return res.status(404).json({ success: false, message: "Refund not found" });
+    }
+
+    if (refund.status !== "issued") {
+      return res.status(409).json({
+        success: false,
+        message: refund.status === "requested"
+          ? "Refund has not been issued yet"
+          : "Refund is already confirmed"
+      });
+    }
+
+    refund.status = "confirmed";
+    refund.confirmedAt = new Date();
+
+    order.statusHistory.push({
+      status: order.status,
+      timestamp: new Date(),
+      note: `Refund of ₱${refund.amount.toFixed(2)} confirmed by customer`
+    });
+
+    await order.save();
+
+    await notifyRefundUpdate({
+      userId: order.seller,
+      order,
+      refund,
+      type: "refund_confirmed",
+      heading: "Refund Confirmed",
+      message: `The customer confirmed receiving the refund of ₱${refund.amount.toFixed(2)}.`
+    });
+
+    res.json({ success: true, message: "Refund confirmed", refund, order });
+  } catch (error) {
+    console.error("Confirm refund error:", error);
+    res.status(500).json({ success: false, message: "Server error confirming refund" });
+  }
+};
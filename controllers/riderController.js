@@ -0,0 +1,155 @@
+import crypto from "crypto";
+import User from "../models/User.js";
+import { sendRiderWelcomeEmail } from "../utils/sendEmail.js";
+
+// @desc    Get the seller's delivery riders
+// @route   GET /api/settings/riders
+// @access  Private (Seller)
+export const getRiders = async (req, res) => {
+  try {
+    const riders = await User.find({ role: "rider", employer: req.user._id })
+      .select("name email phone isActive createdAt")
+      .sort({ name: 1 });
+
+    res.json({
+      success: true,
+      count: riders.length,
+      riders
+    });
+  } catch (error) {
+    console.error("Get riders error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching riders"
+    });
+  }
+};
+
+// @desc    Create a rider account for the seller's deliveries
+// @route   POST /api/settings/riders
+// @access  Private (Seller)
+export const createRider = async (req, res) => {
+  try {
+    const { name, email, phone } = req.body;
+
+    if (!name || !email || !phone) {
+      return res.status(400).json({
+        success: false,
+        message: "Name, email, and phone are required"
+      });
+    }
+
+    // Validate Philippine phone format (+639XXXXXXXXX)
+    const phoneRegex = /^\+639\d{9}$/;
+    if (!phoneRegex.test(phone)) {
+      return res.status(400).json({
+        success: false,
+        message: "Please enter a valid Philippine mobile number"
+      });
+    }
+
+    const existingEmail = await User.findOne({ email });
+    if (existingEmail) {
+      return res.status(400).json({
+        success: false,
+        message: "Email already registered",
+        errorCode: "DUPLICATE_EMAIL"
+      });
+    }
+
+    // Generate temporary password (8 chars)
+    const tempPassword = crypto.randomBytes(4).toString("hex");
+
+    // Riders are vouched for by their seller, so no email verification step
+    const rider = await User.create({
+      name,
+      email,
+      phone,
+      password: tempPassword,
+      role: "rider",
+      employer: req.user._id,
+      isVerified: true,
+      isEmailVerified: true,
+      mustChangePassword: true
+    });
+
+    try {
+      await sendRiderWelcomeEmail({
+        to: email,
+        name,
+        tempPassword,
+        stallName: req.user.stallName || req.user.name
+      });
+    } catch (emailError) {
+      console.error("Failed to send rider welcome email:", emailError);
+      // Don't fail the request, rider is created
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Rider account created. Login details sent by email.",
+      rider: {
+        _id: rider._id,
+        name: rider.name,
+        email: rider.email,
+        phone: rider.phone,
+        isActive: rider.isActive
+      }
+    });
+  } catch (error) {
+    console.error("Create rider error:", error);
+
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages[0]
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server error creating rider"
+    });
+  }
+};
+
+// Deactivate or reactivate one of the seller's riders
+const setRiderActive = async (req, res, isActive) => {
+  try {
+    const rider = await User.findOneAndUpdate(
+      { _id: req.params.id, role: "rider", employer: req.user._id },
+      { $set: { isActive } },
+      { new: true }
+    ).select("name email phone isActive");
+
+    if (!rider) {
+      return res.status(404).json({
+        success: false,
+        message: "Rider not found"
+      });
+    }
+
+    res.json({
+      success: true,
+      message: isActive ? "Rider activated" : "Rider deactivated",
+      rider
+    });
+  } catch (error) {
+    console.error("Update rider error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error updating rider"
+    });
+  }
+};
+
+// @desc    Deactivate a rider
+// @route   PUT /api/settings/riders/:id/deactivate
+// @access  Private (Seller)
+export const deactivateRider = (req, res) => setRiderActive(req, res, false);
+
+// @desc    Activate a rider
+// @route   PUT /api/settings/riders/:id/activate
+// @access  Private (Seller)
+export const activateRider = (req, res) => setRiderActive(req, res, true);
@@ -4,7 +4,7 @@ import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 import { Jimp } from "jimp";
-import jsQR from "jsqr";
+import { decodeQR } from "../utils/qrCode.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -209,7 +209,7 @@ export const exportOrders = async (req, res) => {
 // @access  Private (Seller only)
 export const updateSellerSettings = async (req, res) => {
   try {
-    const { operatingHours, notifyNewOrders, notifyLowStock, acceptsQR, hasOwnDelivery, customCategories } = req.body;
+    const { operatingHours, notifyNewOrders, notifyLowStock, acceptsQR, hasOwnDelivery, customCategories, slotDurationMinutes, slotCapacity, unpaidOrderTimeoutMinutes } = req.body;
 
     const user = await User.findById(req.user._id);
     if (!user) {
@@ -236,6 +236,9 @@ export const updateSellerSettings = async (req, res) => {
     if (acceptsQR !== undefined) user.acceptsQR = acceptsQR;
     if (hasOwnDelivery !== undefined) user.hasOwnDelivery = hasOwnDelivery;
     if (customCategories !== undefined) user.customCategories = customCategories;
+    if (slotDurationMinutes !== undefined) user.slotDurationMinutes = slotDurationMinutes;
+    if (slotCapacity !== undefined) user.slotCapacity = slotCapacity;
+    if (unpaidOrderTimeoutMinutes !== undefined) user.unpaidOrderTimeoutMinutes = unpaidOrderTimeoutMinutes;
 
     await user.save();
 
@@ -248,11 +251,20 @@ export const updateSellerSettings = async (req, res) => {
         notifyLowStock: user.notifyLowStock,
         acceptsQR: user.acceptsQR,
         hasOwnDelivery: user.hasOwnDelivery,
-        customCategories: user.customCategories
+        customCategories: user.customCategories,
+        slotDurationMinutes: user.slotDurationMinutes,
+        slotCapacity: user.slotCapacity,
+        unpaidOrderTimeoutMinutes: user.unpaidOrderTimeoutMinutes
       }
     });
   } catch (error) {
     console.error("Update seller settings error:", error);
+
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({ success: false, message: messages[0] });
+    }
+
     res.status(500).json({ success: false, message: "Server error updating settings" });
   }
 };
@@ -286,22 +298,18 @@ export const uploadPaymentQR = async (req, res) => {
     // Try to detect and extract QR code from image
     let finalPath = req.file.path;
     let finalFilename = req.file.filename;
+    let qrData = null;
 
     try {
       const image = await Jimp.read(req.file.path);
       const width = image.width;
       const height = image.height;
 
-      // Get image data for QR detection
-      const imageData = {
-        data: new Uint8ClampedArray(image.bitmap.data),
-        width,
-        height
-      };
-
-      const qrCode = jsQR(imageData.data, width, height);
+      const qrCode = decodeQR(image);
 
       if (qrCode && qrCode.location) {
+        qrData = qrCode.data;
+
         // QR code found! Extract just the QR portion with padding
         const padding = 30;
         const topLeft = qrCode.location.topLeftCorner;
@@ -336,6 +344,7 @@ export const uploadPaymentQR = async (req, res) => {
     }
 
     user.paymentQR = `/uploads/qr/${finalFilename}`;
+    user.paymentQRData = qrData;
     await user.save();
 
     res.json({
@@ -366,6 +375,7 @@ export const deletePaymentQR = async (req, res) => {
         fs.unlinkSync(qrPath);
       }
       user.paymentQR = null;
+      user.paymentQRData = null;
       await user.save();
     }
 
@@ -406,6 +416,9 @@ export const getSettings = async (req, res) => {
       settings.paymentQR = user.paymentQR;
       settings.acceptsQR = user.acceptsQR;
       settings.hasOwnDelivery = user.hasOwnDelivery;
+      settings.slotDurationMinutes = user.slotDurationMinutes;
+      settings.slotCapacity = user.slotCapacity;
+      settings.unpaidOrderTimeoutMinutes = user.unpaidOrderTimeoutMinutes;
     }
 
     res.json({ success: true, settings });
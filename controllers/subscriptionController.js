@@ -0,0 +1,239 @@
+import mongoose from "mongoose";
+import Product from "../models/Product.js";
+import Subscription from "../models/Subscription.js";
+import { createHttpError, sendHttpError } from "../utils/httpError.js";
+import { nextRunAfter } from "../utils/subscriptionScheduler.js";
+import { checkQuantity } from "../utils/units.js";
+
+const SCHEDULE_FIELDS = ["frequency", "dayOfWeek", "dayOfMonth"];
+const SETTINGS_FIELDS = ["deliveryType", "paymentMethod", "notes"];
+
+const SUBSCRIPTION_POPULATE = [
+  { path: "items.product", select: "name price unit variants image quantity isAvailable" },
+  { path: "seller", select: "name stallName" }
+];
+
+const sendValidationError = (res, error) => {
+  const messages = Object.values(error.errors).map(err => err.message);
+  return res.status(400).json({
+    success: false,
+    message: messages[0]
+  });
+};
+
+/**
+ * Copy request fields onto a subscription, checking items and the address.
+ * Items must all come from one stall, like the orders they turn into.
+ * @throws 400/404 HTTP errors for invalid input
+ */
+const applySubscriptionFields = async (subscription, body, user) => {
+  if (body.items !== undefined) {
+    if (!Array.isArray(body.items) || body.items.length === 0) {
+      throw createHttpError(400, "Subscription must contain at least one item");
+    }
+
+    const items = body.items.map(i => ({
+      productId: i.productId,
+      variantId: i.variantId || null,
+      quantity: Number(i.quantity)
+    }));
+
+    if (items.some(i => !mongoose.isValidObjectId(i.productId) || (i.variantId && !mongoose.isValidObjectId(i.variantId)))) {
+      throw createHttpError(400, "Invalid product ID");
+    }
+    if (items.some(i => !Number.isFinite(i.quantity) || i.quantity <= 0)) {
+      throw createHttpError(400, "Quantities must be greater than zero");
+    }
+
+    const products = await Product.find({ _id: { $in: items.map(i => i.productId) } });
+    if (products.length !== new Set(items.map(i => i.productId)).size) {
+      throw createHttpError(404, "One or more products were not found");
+    }
+
+    const missingVariant = items.find(i =>
+      !products.find(p => p._id.toString() === i.productId).getOption(i.variantId)
+    );
+    if (missingVariant) {
+      throw createHttpError(404, "One or more product variants were not found");
+    }
+
+    for (const item of items) {
+      const product = products.find(p => p._id.toString() === item.productId);
+      const problem = checkQuantity(item.quantity, product.getOption(item.variantId), product.name);
+      if (problem) {
+        throw createHttpError(400, problem);
+      }
+    }
+
+    const sellers = new Set(products.map(p => p.seller.toString()));
+    if (sellers.size > 1) {
+      throw createHttpError(400, "All items in a subscription must come from the same stall");
+    }
+
+    subscription.seller = products[0].seller;
+    subscription.items = items.map(i => ({ product: i.productId, variant: i.variantId, quantity: i.quantity }));
+  }
+
+  [...SCHEDULE_FIELDS, ...SETTINGS_FIELDS].forEach(field => {
+    if (body[field] !== undefined) subscription[field] = body[field];
+  });
+
+  // Deliver to a saved address, or one given directly
+  if (body.addressId) {
+    const saved = user.savedAddresses.id(body.addressId);
+    if (!saved) {
+      throw createHttpError(404, "Address not found");
+    }
+    subscription.deliveryAddress = {
+      fullAddress: saved.fullAddress,
+      barangay: saved.barangay,
+      city: saved.city,
+      province: saved.province,
+      postalCode: saved.postalCode,
+      contactPhone: saved.contactPhone
+    };
+  } else if (body.deliveryAddress !== undefined) {
+    subscription.deliveryAddress = body.deliveryAddress;
+  }
+};
+
+// @desc    Get current user's subscriptions
+// @route   GET /api/subscriptions
+// @access  Private (Customer)
+export const getSubscriptions = async (req, res) => {
+  try {
+    const subscriptions = await Subscription.find({ buyer: req.user._id })
+      .populate(SUBSCRIPTION_POPULATE)
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: subscriptions.length,
+      subscriptions
+    });
+  } catch (error) {
+    console.error("Get subscriptions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching subscriptions"
+    });
+  }
+};
+
+// @desc    Create a recurring order subscription
+// @route   POST /api/subscriptions
+// @access  Private (Customer)
+export const createSubscription = async (req, res) => {
+  try {
+    if (!req.body.items) {
+      return res.status(400).json({
+        success: false,
+        message: "Subscription must contain at least one item"
+      });
+    }
+
+    const subscription = new Subscription({ buyer: req.user._id });
+    await applySubscriptionFields(subscription, req.body, req.user);
+    subscription.nextRunAt = nextRunAfter(subscription);
+
+    await subscription.save();
+    await subscription.populate(SUBSCRIPTION_POPULATE);
+
+    res.status(201).json({
+      success: true,
+      message: "Subscription created successfully",
+      subscription
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return sendHttpError(res, error);
+    }
+
+    if (error.name === "ValidationError") {
+      return sendValidationError(res, error);
+    }
+
+    console.error("Create subscription error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error creating subscription"
+    });
+  }
+};
+
+// @desc    Update a subscription (items, schedule, delivery, pause/resume)
+// @route   PUT /api/subscriptions/:id
+// @access  Private (Customer)
+export const updateSubscription = async (req, res) => {
+  try {
+    const subscription = await Subscription.findOne({ _id: req.params.id, buyer: req.user._id });
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: "Subscription not found"
+      });
+    }
+
+    const wasActive = subscription.isActive;
+
+    await applySubscriptionFields(subscription, req.body, req.user);
+    if (req.body.isActive !== undefined) subscription.isActive = req.body.isActive;
+
+    // A new schedule, or resuming a paused one, starts from the next matching day
+    const rescheduled = SCHEDULE_FIELDS.some(field => req.body[field] !== undefined);
+    if (rescheduled || (subscription.isActive && !wasActive)) {
+      subscription.nextRunAt = nextRunAfter(subscription);
+    }
+
+    await subscription.save();
+    await subscription.populate(SUBSCRIPTION_POPULATE);
+
+    res.json({
+      success: true,
+      message: "Subscription updated successfully",
+      subscription
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return sendHttpError(res, error);
+    }
+
+    if (error.name === "ValidationError") {
+      return sendValidationError(res, error);
+    }
+
+    console.error("Update subscription error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error updating subscription"
+    });
+  }
+};
+
+// @desc    Delete a subscription
+// @route   DELETE /api/subscriptions/:id
+// @access  Private (Customer)
+export const deleteSubscription = async (req, res) => {
+  try {
+    const subscription = await Subscription.findOneAndDelete({ _id: req.params.id, buyer: req.user._id });
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: "Subscription not found"
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Subscription deleted successfully"
+    });
+  } catch (error) {
+    console.error("Delete subscription error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error deleting subscription"
+    });
+  }
+};
@@ -0,0 +1,306 @@
+import mongoose from "mongoose";
+import Order from "../models/Order.js";
+import Product from "../models/Product.js";
+import { createHttpError, sendHttpError } from "../utils/httpError.js";
+import { reserveStock, restockOrder, returnStock, toStockQuantity } from "../utils/inventory.js";
+import { transitionOrder } from "../utils/orderStatus.js";
+import { buildOrderLine, recalculateOrderTotal } from "../utils/checkout.js";
+import { checkQuantity, formatUnit, roundQuantity } from "../utils/units.js";
+import { roundCurrency } from "../utils/money.js";
+import { notifyOrderUpdate } from "../utils/orderNotifications.js";
+import { emitSubstitutionUpdate } from "../utils/socket.js";
+
+// Lines can be substituted until the order is ready for pickup
+const SUBSTITUTABLE_STATUSES = ["pending", "awaiting_payment", "confirmed", "preparing"];
+
+const describeLine = (line) => `${line.name} ${line.quantity} ${formatUnit(line)} @ ₱${line.price.toFixed(2)}`;
+
+/**
+ * Request a refund for what a verified QR payment covered but the order no
+ * longer charges after the customer answered a substitution: the difference
+ * to a cheaper accepted substitute, the declined line (less any refund already
+ * requested for it), or the rest of the total when the order was cancelled.
+ * @param {Document} order - Order after the substitution was answered
+ * @param {Object} line - Snapshot of the line as ordered
+ * @param {number} previousTotal - Order total before the answer
+ * @param {boolean} accepted - Whether the substitute was accepted
+ * @param {ObjectId} requestedBy - Customer who answered
+ * @returns {Object|null} the refund pushed onto order.refunds, or null when nothing is owed
+ */
+const refundSubstitution = (order, line, previousTotal, accepted, requestedBy) => {
+  if (order.paymentMethod !== "qr" || !order.isPaymentVerified) return null;
+
+  const reason = `Customer ${accepted ? "accepted" : "declined"} substitution for ${line.name}`;
+  let refund;
+
+  if (accepted) {
+    // The line stays in the order, so the difference is an adjustment to its total
+    refund = { amount: roundCurrency(previousTotal - order.total), reason, adjustment: true, items: [], requestedBy };
+  } else if (order.status === "cancelled") {
+    refund = { amount: roundCurrency(order.total - order.getRefundedAmount()), reason, items: [], requestedBy };
+  } else {
+    const lineRefunds = order.refunds.flatMap(r => r.items).filter(i => i.item.toString() === line._id.toString());
+    const refundedQuantity = lineRefunds.reduce((sum, i) => sum + i.quantity, 0);
+    const amount = roundCurrency(previousTotal - order.total - lineRefunds.reduce((sum, i) => sum + i.amount, 0));
+
+    refund = {
+      amount,
+      reason,
+      items: [{ item: line._id, name: line.name, quantity: roundQuantity(line.quantity - refundedQuantity), amount }],
+      requestedBy
+    };
+  }
+
+  if (refund.amount <= 0) return null;
+
+  order.refunds.push(refund);
+  order.statusHistory.push({
+    status: order.status,
+    timestamp: new Date(),
+    note: `Refund of ₱${refund.amount.toFixed(2)} requested automatically: ${reason}`
+  });
+
+  return order.refunds[order.refunds.length - 1];
+};
+
+// Load an order line inside a transaction, checking the caller's side of the order
+const findOrderLine = async (req, party, session) => {
+  const order = await Order.findById(req.params.id).session(session);
+
+  if (!order) {
+    throw createHttpError(404, "Order not found");
+  }
+
+  if (order[party].toString() !== req.user._id.toString()) {
+    throw createHttpError(403, "Not authorized");
+  }
+
+  if (!SUBSTITUTABLE_STATUSES.includes(order.status)) {
+    throw createHttpError(409, `Substitutions are not possible for ${order.status} orders`, {
+      currentStatus: order.status
+    });
+  }
+
+  const line = order.items.id(req.params.itemId);
+
+  if (!line) {
+    throw createHttpError(404, "Item not found in order");
+  }
+
+  return { order, line };
+};
+
+// @desc    Propose a substitution for an order line (other product or variant, quantity or price)
+// @route   POST /api/orders/:id/items/:itemId/substitution
+// @access  Private (Seller)
+export const proposeSubstitution = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const { note } = req.body;
+    let order;
+    let line;
+
+    await session.withTransaction(async () => {
+      ({ order, line } = await findOrderLine(req, "seller", session));
+
+      if (line.substitution?.status === "proposed") {
+        throw createHttpError(409, "A substitution is already waiting for the customer's answer");
+      }
+
+      // Defaults to the same product and variant, e.g. to offer a smaller quantity
+      const productId = req.body.productId || line.product.toString();
+      const variantId = req.body.variantId !== undefined
+        ? req.body.variantId
+        : (req.body.productId ? null : line.variant?.toString() || null);
+      if (!mongoose.isValidObjectId(productId) || (variantId && !mongoose.isValidObjectId(variantId))) {
+        throw createHttpError(400, "Invalid product ID");
+      }
+
+      const product = await Product.findOne({ _id: productId, seller: order.seller }).session(session);
+      const option = product?.getOption(variantId);
+      if (!option || !option.isAvailable) {
+        throw createHttpError(404, "Substitute product not found among your available products");
+      }
+
+      const quantity = req.body.quantity === undefined ? line.quantity : Number(req.body.quantity);
+      const price = req.body.price === undefined ? option.price : Number(req.body.price);
+
+      const problem = checkQuantity(quantity, option, product.name);
+      if (problem) {
+        throw createHttpError(400, problem);
+      }
+      if (!Number.isFinite(price) || price < 0) {
+        throw createHttpError(400, "Price must be zero or more");
+      }
+
+      const sameProduct = product._id.toString() === line.product.toString() &&
+        String(option.variant || "") === String(line.variant || "");
+      if (sameProduct && quantity === line.quantity && price === line.price) {
+        throw createHttpError(400, "Substitution must change the product, quantity or price");
+      }
+
+      line.substitution = { ...buildOrderLine(product, option, quantity), price, note };
+
+      order.statusHistory.push({
+        status: order.status,
+        timestamp: new Date(),
+        note: `Seller proposed substitution: ${describeLine(line)} → ${describeLine(line.substitution)}`
+      });
+
+      await order.save({ session });
+    });
+
+    emitSubstitutionUpdate(order.buyer.toString(), order, line, "substitution_proposed");
+
+    await notifyOrderUpdate({
+      userId: order.buyer,
+      order,
+      type: "substitution_proposed",
+      heading: "Substitution Proposed",
+      message: `The seller can't fill ${line.name} as ordered and proposed a replacement. Please accept or decline it.`,
+      details: {
+        Ordered: describeLine(line),
+        Replacement: describeLine(line.substitution),
+        ...(note && { Note: note })
+      },
+      data: { itemId: line._id }
+    });
+
+    res.status(201).json({ success: true, message: "Substitution proposed", order });
+  } catch (error) {
+    if (error.statusCode) {
+      return sendHttpError(res, error);
+    }
+
+    console.error("Propose substitution error:", error);
+    res.status(500).json({ success: false, message: "Server error proposing substitution" });
+  } finally {
+    await session.endSession();
+  }
+};
+
+// @desc    Accept or decline a proposed substitution
+// @route   PUT /api/orders/:id/items/:itemId/substitution
+// @access  Private (Customer)
+export const respondToSubstitution = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const { accept } = req.body;
+
+    if (typeof accept !== "boolean") {
+      return res.status(400).json({ success: false, message: "Please accept or decline the substitution" });
+    }
+
+    let order;
+    let line;
+    let summary;
+    let refund;
+
+    await session.withTransaction(async () => {
+      ({ order, line } = await findOrderLine(req, "buyer", session));
+      const substitution = line.substitution;
+      const previousTotal = order.total;
+
+      if (substitution?.status !== "proposed") {
+        throw createHttpError(409, "There is no substitution waiting for an answer on this item");
+      }
+
+      substitution.status = accept ? "accepted" : "declined";
+      substitution.respondedAt = new Date();
+      // Snapshot for the response and notifications, before the line changes or goes away
+      summary = { ...line.toObject(), substitution: substitution.toObject() };
+
+      if (accept) {
+        // The ordered stock goes back and the replacement is taken in its place
+        await returnStock(line.product, toStockQuantity(line.quantity, line.stockPerUnit), session);
+
+        const { reserved, conflicts } = await reserveStock([{
+          productId: substitution.product.toString(),
+          variantId: substitution.variant?.toString() || null,
+          quantity: substitution.quantity
+        }], session);
+        if (conflicts.length > 0) {
+          throw createHttpError(409, "The replacement is no longer available in that quantity", { conflicts });
+        }
+
+        order.statusHistory.push({
+          status: order.status,
+          timestamp: new Date(),
+          note: `Customer accepted substitution: ${describeLine(line)} → ${describeLine(substitution)}`
+        });
+
+        line.set({
+          product: substitution.product,
+          name: substitution.name,
+          price: substitution.price,
+          quantity: substitution.quantity,
+          unit: substitution.unit,
+          variant: substitution.variant,
+          sku: substitution.sku,
+          size: substitution.size,
+          // Stock was just taken at the variant's current size
+          stockPerUnit: reserved[0].option.stockPerUnit,
+          image: substitution.image
+        });
+      } else if (order.items.length > 1) {
+        await returnStock(line.product, toStockQuantity(line.quantity, line.stockPerUnit), session);
+
+        order.statusHistory.push({
+          status: order.status,
+          timestamp: new Date(),
+          note: `Customer declined substitution; removed ${describeLine(line)}`
+        });
+
+        order.items.pull(line._id);
+      } else {
+        // Declining the only line leaves nothing to sell, so the order is cancelled
+        transitionOrder(order, "cancelled", "system", `Customer declined substitution for ${line.name}; nothing left in the order`);
+        await restockOrder(order, session);
+      }
+
+      if (order.status !== "cancelled") {
+        await recalculateOrderTotal(order);
+      }
+
+      refund = refundSubstitution(order, summary, previousTotal, accept, req.user._id);
+
+      await order.save({ session });
+    });
+
+    emitSubstitutionUpdate(order.seller.toString(), order, summary, `substitution_${accept ? "accepted" : "declined"}`);
+
+    await notifyOrderUpdate({
+      userId: order.seller,
+      order,
+      type: `substitution_${accept ? "accepted" : "declined"}`,
+      heading: accept ? "Substitution Accepted" : "Substitution Declined",
+      message: accept
+        ? `The customer accepted ${summary.substitution.name} in place of ${summary.name}.`
+        : order.status === "cancelled"
+          ? `The customer declined the substitution for ${summary.name}, so the order was cancelled.`
+          : `The customer declined the substitution, so ${summary.name} was removed from the order.`,
+      details: {
+        "New Total": `₱${order.total.toFixed(2)}`,
+        ...(refund && { "Refund Requested": `₱${refund.amount.toFixed(2)}` })
+      },
+      data: { itemId: summary._id }
+    });
+
+    res.json({
+      success: true,
+      message: accept ? "Substitution accepted" : "Substitution declined",
+      order
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return sendHttpError(res, error);
+    }
+
+    console.error("Respond to substitution error:", error);
+    res.status(500).json({ success: false, message: "Server error updating substitution" });
+  } finally {
+    await session.endSession();
+  }
+};
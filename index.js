@@ -18,6 +18,8 @@ import settingsRoutes from "./routes/settingsRoutes.js";
 import preferencesRoutes from "./routes/preferencesRoutes.js";
 import addressRoutes from "./routes/addressRoutes.js";
 import recommendationRoutes from "./routes/recommendationRoutes.js";
+import cartRoutes from "./routes/cartRoutes.js";
+import subscriptionRoutes from "./routes/subscriptionRoutes.js";
 import Message from "./models/Message.js";
 import Conversation from "./models/Conversation.js";
 
@@ -72,6 +74,8 @@ app.use('/api/settings', settingsRoutes);
 app.use('/api/preferences', preferencesRoutes);
 app.use('/api/addresses', addressRoutes);
 app.use('/api/recommendations', recommendationRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/subscriptions', subscriptionRoutes);
 
 // Basic Route
 app.get("/api/health", (req, res) => {
@@ -211,6 +215,17 @@ mongoose
   .then(async () => {
     console.log("Connected to MongoDB");
 
+    // Checkout, carts, cancellations and substitutions run in transactions,
+    // which need a replica set (or a sharded cluster), not a standalone server
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    if (!hello.setName && hello.msg !== "isdbgrid") {
+      console.error(
+        "FATAL ERROR: MongoDB is running as a standalone server, but transactions need a replica set. " +
+        "Start mongod with --replSet rs0, run rs.initiate() once, and add ?replicaSet=rs0 to MONGODB_URI."
+      );
+      process.exit(1);
+    }
+
     // Initialize backup scheduler
     try {
       const { initBackupScheduler } = await import("./utils/backupScheduler.js");
@@ -219,6 +234,38 @@ mongoose
       console.error("Failed to initialize backup scheduler:", err);
     }
 
+    // Seed the delivery zones the old flat city fees came from
+    try {
+      const { ensureDefaultZones } = await import("./utils/deliveryFee.js");
+      await ensureDefaultZones();
+    } catch (err) {
+      console.error("Failed to create default delivery zones:", err);
+    }
+
+    // Initialize cart hold sweeper
+    try {
+      const { initCartScheduler } = await import("./utils/cartScheduler.js");
+      initCartScheduler();
+    } catch (err) {
+      console.error("Failed to initialize cart scheduler:", err);
+    }
+
+    // Initialize recurring subscription orders
+    try {
+      const { initSubscriptionScheduler } = await import("./utils/subscriptionScheduler.js");
+      initSubscriptionScheduler();
+    } catch (err) {
+      console.error("Failed to initialize subscription scheduler:", err);
+    }
+
+    // Initialize stale order auto-cancellation
+    try {
+      const { initOrderScheduler } = await import("./utils/orderScheduler.js");
+      initOrderScheduler();
+    } catch (err) {
+      console.error("Failed to initialize order scheduler:", err);
+    }
+
     httpServer.listen(PORT, () => {
       console.log(`Server is running on port ${PORT}`);
     });
@@ -0,0 +1,105 @@
+import IdempotencyKey, { IDEMPOTENCY_PROCESSING_SECONDS } from "../models/IdempotencyKey.js";
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Replay the first response for a repeated Idempotency-Key header.
+ * Must run after protect (keys are scoped per user) and before any upload
+ * middleware, so a retried multipart checkout is answered without storing
+ * its receipt files again. Requests without the header pass straight through.
+ * Server errors (5xx) are not stored, so the client may retry them. A client
+ * that disconnects mid-request keeps its key: the handler still finishes and
+ * stores its response, which the retry then replays.
+ */
+export const idempotent = async (req, res, next) => {
+  const key = req.get("Idempotency-Key");
+
+  if (!key) return next();
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  const path = req.baseUrl + req.path;
+  let record;
+
+  try {
+    record = await IdempotencyKey.create({
+      user: req.user._id,
+      key,
+      method: req.method,
+      path
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      console.error("Idempotency key error:", error);
+      return res.status(500).json({ success: false, message: "Server error" });
+    }
+
+    const existing = await IdempotencyKey.findOne({ user: req.user._id, key });
+
+    // Expired and removed between the insert and this lookup
+    if (!existing) return idempotent(req, res, next);
+
+    if (existing.method !== req.method || existing.path !== path) {
+      return res.status(422).json({
+        success: false,
+        message: "Idempotency-Key was already used for a different request"
+      });
+    }
+
+    // A request still processing long after it started has crashed; free its key
+    const staleBefore = new Date(Date.now() - IDEMPOTENCY_PROCESSING_SECONDS * 1000);
+    if (existing.status === "processing" && existing.createdAt < staleBefore) {
+      await IdempotencyKey.deleteOne({ _id: existing._id, status: "processing", createdAt: existing.createdAt });
+      return idempotent(req, res, next);
+    }
+
+    if (existing.status === "processing") {
+      return res.status(409).json({
+        success: false,
+        message: "A request with this Idempotency-Key is still being processed"
+      });
+    }
+
+    res.set("Idempotent-Replayed", "true");
+    return res.status(existing.statusCode).json(existing.responseBody);
+  }
+
+  let stored = false;
+  const json = res.json.bind(res);
+
+  res.json = (body) => {
+    stored = true;
+
+    const save = res.statusCode >= 500
+      ? IdempotencyKey.deleteOne({ _id: record._id })
+      : IdempotencyKey.updateOne(
+        { _id: record._id },
+        { $set: { status: "completed", statusCode: res.statusCode, responseBody: body } }
+      );
+
+    // Send only once the response is stored, so a quick retry replays it
+    // instead of finding the key still processing
+    save
+      .catch(error => console.error("Idempotency key save error:", error))
+      .finally(() => json(body));
+
+    return res;
+  };
+
+  // Free the key if the request failed before the handler answered (e.g. an
+  // upload error). Not on "close": a disconnect must not free the key while
+  // the handler is still placing the order.
+  res.on("finish", () => {
+    if (!stored && res.statusCode >= 500) {
+      IdempotencyKey.deleteOne({ _id: record._id })
+        .catch(error => console.error("Idempotency key cleanup error:", error));
+    }
+  });
+
+  next();
+};
@@ -91,5 +91,35 @@ export const uploadReceiptImage = multer({
   limits: { fileSize: 5 * 1024 * 1024 }
 });
 
+// Proof-of-delivery photo storage
+const deliveryUploadsDir = path.join(__dirname, "..", "uploads", "deliveries");
+if (!fs.existsSync(deliveryUploadsDir)) {
+  fs.mkdirSync(deliveryUploadsDir, { recursive: true });
+}
+
+const deliveryStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, deliveryUploadsDir);
+  },
+  filename: (req, file, cb) => {
+    const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
+    const ext = path.extname(file.originalname).toLowerCase();
+    cb(null, `delivery-${uniqueSuffix}${ext}`);
+  }
+});
+
+export const uploadDeliveryProof = multer({
+  storage: deliveryStorage,
+  fileFilter: imageFilter,
+  limits: { fileSize: 5 * 1024 * 1024 }
+});
+
+// Scanned pickup QR codes are only decoded, never stored
+export const uploadScanImage = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: imageFilter,
+  limits: { fileSize: 5 * 1024 * 1024 }
+});
+
 export default uploadProductImage;
 
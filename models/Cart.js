@@ -0,0 +1,54 @@
+import mongoose from "mongoose";
+
+const cartItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true
+  },
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  // Chosen product variant (null = the product's own unit)
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Quantity ordered, in the variant's unit (steps of e.g. 0.25 kg for loose goods)
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0.001
+  },
+  // Product stock held per unit of quantity
+  stockPerUnit: {
+    type: Number,
+    default: 1
+  },
+  // Hold is released back to the product by the cart sweeper after this time
+  heldUntil: {
+    type: Date,
+    required: true
+  }
+});
+
+const cartSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    unique: true
+  },
+  items: [cartItemSchema]
+}, {
+  timestamps: true
+});
+
+// Index for the sweeper looking up expired holds
+cartSchema.index({ "items.heldUntil": 1 });
+
+const Cart = mongoose.model("Cart", cartSchema);
+
+export default Cart;
@@ -0,0 +1,65 @@
+import mongoose from "mongoose";
+
+const deliveryZoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, "Zone name is required"],
+    trim: true,
+    maxlength: [100, "Zone name cannot exceed 100 characters"]
+  },
+  city: {
+    type: String,
+    required: [true, "City is required"],
+    trim: true
+  },
+  // Barangays covered by this zone; empty means the whole city
+  barangays: [{
+    type: String,
+    trim: true
+  }],
+  // Seller-specific zone (sellers with own delivery); null for admin-managed zones
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+  baseFee: {
+    type: Number,
+    required: [true, "Base fee is required"],
+    min: [0, "Base fee cannot be negative"]
+  },
+  // Approximate distance from the market, used for the per-km surcharge
+  distanceKm: {
+    type: Number,
+    min: [0, "Distance cannot be negative"],
+    default: 0
+  },
+  perKmFee: {
+    type: Number,
+    min: [0, "Per-km fee cannot be negative"],
+    default: 0
+  },
+  perKgFee: {
+    type: Number,
+    min: [0, "Per-kg fee cannot be negative"],
+    default: 0
+  },
+  // Orders with a subtotal at or above this amount ship free (null = never free)
+  freeDeliveryThreshold: {
+    type: Number,
+    min: [0, "Threshold cannot be negative"],
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+deliveryZoneSchema.index({ seller: 1, isActive: 1 });
+
+const DeliveryZone = mongoose.model("DeliveryZone", deliveryZoneSchema);
+
+export default DeliveryZone;
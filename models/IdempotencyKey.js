@@ -0,0 +1,46 @@
+import mongoose from "mongoose";
+
+// How long a stored response can be replayed (24 hours)
+export const IDEMPOTENCY_TTL_SECONDS = 24 * 60 * 60;
+// How long a request may hold its key before it is treated as crashed (5 minutes)
+export const IDEMPOTENCY_PROCESSING_SECONDS = 5 * 60;
+
+const idempotencyKeySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  // Method and path the key was first used with
+  method: {
+    type: String,
+    required: true
+  },
+  path: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ["processing", "completed"],
+    default: "processing"
+  },
+  // First response, replayed on retries
+  statusCode: Number,
+  responseBody: mongoose.Schema.Types.Mixed,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: IDEMPOTENCY_TTL_SECONDS
+  }
+});
+
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+
+const IdempotencyKey = mongoose.model("IdempotencyKey", idempotencyKeySchema);
+
+export default IdempotencyKey;
@@ -1,4 +1,69 @@
+import crypto from "crypto";
 import mongoose from "mongoose";
+import { roundCurrency } from "../utils/money.js";
+
+const substitutionSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0.001
+  },
+  unit: {
+    type: String,
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  sku: {
+    type: String,
+    default: null
+  },
+  size: {
+    type: Number,
+    default: 1
+  },
+  stockPerUnit: {
+    type: Number,
+    default: 1
+  },
+  image: {
+    type: String,
+    default: null
+  },
+  note: {
+    type: String,
+    maxlength: 500
+  },
+  status: {
+    type: String,
+    enum: ["proposed", "accepted", "declined"],
+    default: "proposed"
+  },
+  proposedAt: {
+    type: Date,
+    default: Date.now
+  },
+  respondedAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
 
 const orderItemSchema = new mongoose.Schema({
   product: {
@@ -14,21 +79,95 @@ const orderItemSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // Decimal for loose goods sold by weight or volume (see utils/units.js)
   quantity: {
     type: Number,
     required: true,
-    min: 1
+    min: 0.001
   },
   unit: {
     type: String,
     required: true
   },
+  // Variant the buyer chose (null = the product's own unit)
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  sku: {
+    type: String,
+    default: null
+  },
+  // Amount of `unit` per item, e.g. a 250 g pack
+  size: {
+    type: Number,
+    default: 1
+  },
+  // Product stock taken per item, in the product's stock unit
+  stockPerUnit: {
+    type: Number,
+    default: 1
+  },
   image: {
     type: String,
     default: null
+  },
+  // Replacement proposed by the seller when this item runs out
+  substitution: {
+    type: substitutionSchema,
+    default: null
   }
 });
 
+const refundSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  reason: {
+    type: String,
+    maxlength: 500
+  },
+  // Refund of an amount already taken off the order total (e.g. a cheaper substitute)
+  adjustment: {
+    type: Boolean,
+    default: false
+  },
+  // Line items covered by a partial refund (empty for a full refund)
+  items: [{
+    item: { type: mongoose.Schema.Types.ObjectId, required: true },
+    name: { type: String, required: true },
+    quantity: { type: Number, required: true, min: 0.001 },
+    amount: { type: Number, required: true, min: 0 }
+  }],
+  status: {
+    type: String,
+    enum: ["requested", "issued", "confirmed"],
+    default: "requested"
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  // Seller's proof of the refund transfer (receipt upload)
+  proof: {
+    type: String,
+    default: null
+  },
+  issuedAt: {
+    type: Date,
+    default: null
+  },
+  confirmedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
 const orderSchema = new mongoose.Schema({
   buyer: {
     type: mongoose.Schema.Types.ObjectId,
@@ -48,7 +187,10 @@ const orderSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ["pending", "confirmed", "preparing", "ready", "completed", "cancelled"],
+    enum: [
+      "pending", "awaiting_payment", "confirmed", "preparing", "ready",
+      "out_for_delivery", "delivered", "failed_delivery", "completed", "cancelled"
+    ],
     default: "pending"
   },
   paymentMethod: {
@@ -73,6 +215,34 @@ const orderSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Every receipt the buyer has submitted, with the seller's review
+  paymentProofs: [{
+    url: { type: String, required: true },
+    submittedAt: { type: Date, default: Date.now },
+    status: {
+      type: String,
+      enum: ["submitted", "verified", "rejected"],
+      default: "submitted"
+    },
+    rejectionReason: { type: String, default: null },
+    reviewedAt: { type: Date, default: null },
+    fileHash: { type: String, default: null },
+    perceptualHash: { type: String, default: null }
+  }],
+  // Automatic sanity checks on the current payment proof, shown to the seller before verifying
+  receiptChecks: {
+    checkedAt: { type: Date, default: null },
+    fileHash: { type: String, default: null },
+    perceptualHash: { type: String, default: null },
+    width: { type: Number, default: null },
+    height: { type: Number, default: null },
+    format: { type: String, default: null },
+    warnings: [{
+      code: String,
+      message: String
+    }],
+    duplicateOf: [{ type: mongoose.Schema.Types.ObjectId, ref: "Order" }]
+  },
   isPaymentVerified: {
     type: Boolean,
     default: false
@@ -104,11 +274,62 @@ const orderSchema = new mongoose.Schema({
     type: Number,
     default: 0,
     min: 0
+  },
+  // Pickup/delivery slot chosen at checkout (null = as soon as possible)
+  scheduledSlot: {
+    start: { type: Date, default: null },
+    end: { type: Date, default: null }
+  },
+  // Refunds for QR-paid orders (full after cancellation, or per line item)
+  refunds: [refundSchema],
+  // Set when a cancelled order's items are returned to stock (guards against double restock)
+  stockRestoredAt: {
+    type: Date,
+    default: null
+  },
+  // Rider (seller staff) assigned to a delivery order
+  rider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+  // Photo taken by the rider at the door
+  deliveryProof: {
+    type: String,
+    default: null
+  },
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+  // Code the buyer shows at handoff; hidden from queries so sellers never see it
+  pickupCode: {
+    type: String,
+    select: false
+  },
+  // Completion attempts with a pickup code, for rate limiting and audit
+  pickupAttempts: {
+    type: [{
+      user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      success: { type: Boolean, default: false },
+      ip: { type: String, default: null },
+      attemptedAt: { type: Date, default: Date.now }
+    }],
+    select: false
   }
 }, {
   timestamps: true
 });
 
+// Unambiguous characters only (no 0/O, 1/I) so codes can be read out loud
+const PICKUP_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const PICKUP_CODE_LENGTH = 6;
+
+export const generatePickupCode = () => Array.from(
+  { length: PICKUP_CODE_LENGTH },
+  () => PICKUP_CODE_ALPHABET[crypto.randomInt(PICKUP_CODE_ALPHABET.length)]
+).join("");
+
 // Add initial status to history on create
 orderSchema.pre("save", function () {
   if (this.isNew) {
@@ -117,12 +338,33 @@ orderSchema.pre("save", function () {
       timestamp: new Date(),
       note: "Order placed"
     }];
+    this.pickupCode = generatePickupCode();
   }
 });
 
+/**
+ * Amount refunded against the order's current total. Adjustments, and refunds
+ * for lines since removed from the order (declined substitutions), already
+ * left the total.
+ */
+orderSchema.methods.getRefundedAmount = function () {
+  return roundCurrency(this.refunds.reduce((sum, refund) => sum + (refund.adjustment ? 0 : refund.items.length === 0
+    ? refund.amount
+    : refund.items.filter(i => this.items.id(i.item)).reduce((lines, i) => lines + i.amount, 0)
+  ), 0));
+};
+
 // Index for faster queries
 orderSchema.index({ buyer: 1, createdAt: -1 });
-orderSchema.index({ seller: 1, status: 1 });
+// Seller listings and analytics filter by status within a date range
+orderSchema.index({ seller: 1, status: 1, createdAt: -1 });
+orderSchema.index({ seller: 1, createdAt: -1 });
+orderSchema.index({ seller: 1, "scheduledSlot.start": 1 });
+orderSchema.index({ rider: 1, status: 1 });
+// Market-wide analytics over completed orders
+orderSchema.index({ status: 1, createdAt: -1 });
+orderSchema.index({ "paymentProofs.fileHash": 1 });
+orderSchema.index({ "paymentProofs.perceptualHash": 1 });
 
 const Order = mongoose.model("Order", orderSchema);
 
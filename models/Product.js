@@ -1,4 +1,43 @@
 import mongoose from "mongoose";
+import { UNITS, convertQuantity } from "../utils/units.js";
+
+// Another way to sell the same stock, e.g. a 250 g pack of a product stocked in kg
+const variantSchema = new mongoose.Schema({
+  unit: {
+    type: String,
+    required: [true, "Variant unit is required"],
+    enum: UNITS
+  },
+  // Amount of `unit` in one variant, e.g. 250 (g)
+  size: {
+    type: Number,
+    required: [true, "Variant size is required"],
+    min: [0.001, "Variant size must be greater than zero"],
+    default: 1
+  },
+  price: {
+    type: Number,
+    required: [true, "Variant price is required"],
+    min: [0, "Price cannot be negative"]
+  },
+  sku: {
+    type: String,
+    trim: true,
+    maxlength: [50, "SKU cannot exceed 50 characters"],
+    default: null
+  },
+  isAvailable: {
+    type: Boolean,
+    default: true
+  }
+});
+
+variantSchema.virtual("label").get(function () {
+  return `${this.size} ${this.unit}`;
+});
+
+variantSchema.set("toJSON", { virtuals: true });
+variantSchema.set("toObject", { virtuals: true });
 
 const productSchema = new mongoose.Schema({
   name: {
@@ -17,18 +56,27 @@ const productSchema = new mongoose.Schema({
     required: [true, "Price is required"],
     min: [0, "Price cannot be negative"]
   },
+  // Free stock: the shared pool of the product and all its variants, in `unit`,
+  // not counting heldQuantity. Sellers edit the total (see totalQuantity)
   quantity: {
     type: Number,
     required: [true, "Quantity is required"],
     min: [0, "Quantity cannot be negative"],
     default: 0
   },
+  // Stock taken out of quantity by customers' cart holds (released on expiry)
+  heldQuantity: {
+    type: Number,
+    min: [0, "Held quantity cannot be negative"],
+    default: 0
+  },
   unit: {
     type: String,
     required: [true, "Unit is required"],
-    enum: ["kg", "g", "piece", "bundle", "pack", "dozen", "liter", "ml"],
+    enum: UNITS,
     default: "piece"
   },
+  variants: [variantSchema],
   category: {
     type: String,
     required: [true, "Category is required"],
@@ -71,6 +119,62 @@ productSchema.virtual("isLowStock").get(function () {
   return this.quantity <= this.lowStockThreshold;
 });
 
+// Virtual for free stock plus stock held in carts
+productSchema.virtual("totalQuantity").get(function () {
+  return this.quantity + (this.heldQuantity || 0);
+});
+
+// Variants draw on the product's stock, so their unit must convert to the product's unit
+productSchema.pre("validate", function () {
+  const skus = new Set();
+
+  for (const variant of this.variants) {
+    if (convertQuantity(variant.size, variant.unit, this.unit) === null) {
+      this.invalidate("variants", `A ${variant.unit} variant cannot draw on stock counted in ${this.unit}`);
+    }
+
+    if (variant.sku) {
+      if (skus.has(variant.sku)) {
+        this.invalidate("variants", `SKU ${variant.sku} is used by more than one variant`);
+      }
+      skus.add(variant.sku);
+    }
+  }
+});
+
+/**
+ * Price, unit and stock drawn per unit ordered, for the product itself
+ * (no variant) or one of its variants
+ * @param {string|ObjectId|null} variantId
+ * @returns {Object|null} null when the variant does not exist
+ */
+productSchema.methods.getOption = function (variantId = null) {
+  if (!variantId) {
+    return {
+      variant: null,
+      sku: null,
+      price: this.price,
+      unit: this.unit,
+      size: 1,
+      stockPerUnit: 1,
+      isAvailable: this.isAvailable
+    };
+  }
+
+  const variant = this.variants.id(variantId);
+  if (!variant) return null;
+
+  return {
+    variant: variant._id,
+    sku: variant.sku,
+    price: variant.price,
+    unit: variant.unit,
+    size: variant.size,
+    stockPerUnit: convertQuantity(variant.size, variant.unit, this.unit),
+    isAvailable: this.isAvailable && variant.isAvailable
+  };
+};
+
 // Ensure virtuals are included in JSON output
 productSchema.set("toJSON", { virtuals: true });
 productSchema.set("toObject", { virtuals: true });
@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+
+// Active orders booked into one of a seller's pickup/delivery slots.
+// Checkout claims a place with a guarded $inc, so concurrent checkouts
+// write the same document and cannot both take the last place.
+const slotBookingSchema = new mongoose.Schema({
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  start: {
+    type: Date,
+    required: true
+  },
+  count: {
+    type: Number,
+    min: [0, "Booking count cannot be negative"],
+    default: 0
+  },
+  // Past slots are removed a day after they end
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 24 * 60 * 60
+  }
+}, {
+  timestamps: true
+});
+
+slotBookingSchema.index({ seller: 1, start: 1 }, { unique: true });
+
+const SlotBooking = mongoose.model("SlotBooking", slotBookingSchema);
+
+export default SlotBooking;
@@ -0,0 +1,116 @@
+import mongoose from "mongoose";
+
+const subscriptionItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true
+  },
+  // Chosen product variant (null = the product's own unit)
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [0.001, "Quantity must be greater than zero"]
+  }
+}, { _id: false });
+
+const subscriptionSchema = new mongoose.Schema({
+  buyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  // Subscriptions are per stall, like the orders they create
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  items: {
+    type: [subscriptionItemSchema],
+    validate: [items => items.length > 0, "Subscription must contain at least one item"]
+  },
+  frequency: {
+    type: String,
+    enum: ["weekly", "biweekly", "monthly"],
+    required: true
+  },
+  // 0 (Sunday) - 6 (Saturday), for weekly and biweekly subscriptions
+  dayOfWeek: {
+    type: Number,
+    min: 0,
+    max: 6,
+    default: null
+  },
+  // 1 - 28 so every month has the day, for monthly subscriptions
+  dayOfMonth: {
+    type: Number,
+    min: 1,
+    max: 28,
+    default: null
+  },
+  deliveryType: {
+    type: String,
+    enum: ["pickup", "delivery"],
+    default: "pickup"
+  },
+  deliveryAddress: {
+    fullAddress: { type: String, default: null },
+    barangay: { type: String, default: null },
+    city: { type: String, default: null },
+    province: { type: String, default: null },
+    postalCode: { type: String, default: null },
+    contactPhone: { type: String, default: null },
+    deliveryNotes: { type: String, default: null }
+  },
+  paymentMethod: {
+    type: String,
+    enum: ["qr", "cod"],
+    default: "cod"
+  },
+  notes: {
+    type: String,
+    default: ""
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  nextRunAt: {
+    type: Date,
+    required: true
+  },
+  // Outcome of the most recent run
+  lastRun: {
+    runAt: { type: Date, default: null },
+    status: { type: String, enum: ["placed", "skipped", null], default: null },
+    reason: { type: String, default: null },
+    orders: [{ type: mongoose.Schema.Types.ObjectId, ref: "Order" }]
+  }
+}, {
+  timestamps: true
+});
+
+subscriptionSchema.pre("validate", function () {
+  if (this.frequency === "monthly" && this.dayOfMonth == null) {
+    this.invalidate("dayOfMonth", "Day of month is required for monthly subscriptions");
+  }
+  if (this.frequency !== "monthly" && this.dayOfWeek == null) {
+    this.invalidate("dayOfWeek", "Day of week is required for weekly subscriptions");
+  }
+  if (this.deliveryType === "delivery" && !this.deliveryAddress?.fullAddress) {
+    this.invalidate("deliveryAddress", "Delivery address is required for delivery subscriptions");
+  }
+});
+
+// Index for the scheduler picking up due subscriptions
+subscriptionSchema.index({ isActive: 1, nextRunAt: 1 });
+subscriptionSchema.index({ buyer: 1 });
+
+const Subscription = mongoose.model("Subscription", subscriptionSchema);
+
+export default Subscription;
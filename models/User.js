@@ -30,9 +30,15 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ["customer", "seller", "admin"],
+    enum: ["customer", "seller", "admin", "rider"],
     default: "customer"
   },
+  // For riders: the seller whose deliveries they handle
+  employer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
   // For sellers
   marketLocation: {
     type: String,
@@ -64,10 +70,33 @@ const userSchema = new mongoose.Schema({
     saturday: { open: { type: String, default: "06:00" }, close: { type: String, default: "18:00" }, isClosed: { type: Boolean, default: false } },
     sunday: { open: { type: String, default: "06:00" }, close: { type: String, default: "18:00" }, isClosed: { type: Boolean, default: true } }
   },
+  // Pickup/delivery slots offered at checkout, cut from the operating hours
+  slotDurationMinutes: {
+    type: Number,
+    enum: [15, 30, 60, 120],
+    default: 60
+  },
+  slotCapacity: {
+    type: Number,
+    min: [1, "Slot capacity must be at least 1"],
+    default: 5
+  },
+  // Unpaid or unconfirmed orders are cancelled automatically after this long
+  unpaidOrderTimeoutMinutes: {
+    type: Number,
+    min: [15, "Order timeout must be at least 15 minutes"],
+    max: [10080, "Order timeout cannot exceed 7 days"],
+    default: 120
+  },
   paymentQR: {
     type: String,
     default: null
   },
+  // Decoded content of the payment QR (used to spot receipts that are just the QR)
+  paymentQRData: {
+    type: String,
+    default: null
+  },
   // Payment & Delivery Settings
   acceptsQR: {
     type: Boolean,
@@ -39,6 +39,12 @@ import {
   updateBackupSettings,
   runSelectiveBackup
 } from "../controllers/backupController.js";
+import {
+  getDeliveryZones,
+  createDeliveryZone,
+  updateDeliveryZone,
+  deleteDeliveryZone
+} from "../controllers/deliveryZoneController.js";
 import { protect, authorize } from "../middleware/authMiddleware.js";
 
 const router = express.Router();
@@ -86,6 +92,12 @@ router.put("/customers/:id", updateCustomer);
 router.delete("/customers/:id/reject", rejectCustomer);
 router.delete("/customers/:id", deleteCustomer);
 
+// Delivery zones
+router.get("/delivery-zones", getDeliveryZones);
+router.post("/delivery-zones", createDeliveryZone);
+router.put("/delivery-zones/:id", updateDeliveryZone);
+router.delete("/delivery-zones/:id", deleteDeliveryZone);
+
 // Admin management
 router.get("/admins", getAdmins);
 router.post("/admins", createAdmin);
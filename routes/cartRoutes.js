@@ -0,0 +1,25 @@
+import express from "express";
+import {
+  getCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  clearCart
+} from "../controllers/cartController.js";
+import { protect, authorize } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// All routes require a customer account
+router.use(protect, authorize("customer"));
+
+router.route("/")
+  .get(getCart)
+  .delete(clearCart);
+
+router.post("/items", addCartItem);
+router.route("/items/:productId")
+  .put(updateCartItem)
+  .delete(removeCartItem);
+
+export default router;
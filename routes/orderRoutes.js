@@ -1,42 +1,94 @@
 import express from "express";
 import {
   createOrder,
+  updateOrderItems,
+  getDeliveryQuote,
+  getSellerSlots,
   getMyOrders,
   getSellerOrders,
   updateOrderStatus,
   getOrder,
+  getOrderReceipt,
+  getPickupCode,
+  completeWithPickupCode,
+  getPackingSlips,
   verifyPayment,
+  rejectPayment,
+  submitPaymentProof,
   archiveOrder,
   bulkArchiveOrders,
   bulkCancelOrders,
   getSellerAnalytics,
+  exportSellerAnalytics,
   cancelOrderByCustomer,
   hideOrderForBuyer,
   bulkHideOrdersForBuyer
 } from "../controllers/orderController.js";
+import {
+  requestRefund,
+  issueRefund,
+  confirmRefund
+} from "../controllers/refundController.js";
+import {
+  proposeSubstitution,
+  respondToSubstitution
+} from "../controllers/substitutionController.js";
+import {
+  assignRider,
+  getRiderOrders,
+  updateDeliveryStatus
+} from "../controllers/deliveryController.js";
+import { reorder } from "../controllers/cartController.js";
 import { protect, authorize } from "../middleware/authMiddleware.js";
-import { uploadReceiptImage } from "../middleware/uploadMiddleware.js";
+import { uploadDeliveryProof, uploadReceiptImage, uploadScanImage } from "../middleware/uploadMiddleware.js";
+import { idempotent } from "../middleware/idempotencyMiddleware.js";
 
 const router = express.Router();
 
 // Customer routes
 // Use .any() to allow dynamic field names for multiple seller receipts
-router.post("/", protect, authorize("customer"), uploadReceiptImage.any(), createOrder);
+// idempotent runs before the upload so retried checkouts don't store receipts twice
+router.post("/", protect, authorize("customer"), idempotent, uploadReceiptImage.any(), createOrder);
+router.get("/quote", protect, authorize("customer"), getDeliveryQuote);
 router.get("/my-orders", protect, getMyOrders);
+router.get("/slots/:sellerId", protect, getSellerSlots);
 router.put("/bulk-hide-buyer", protect, authorize("customer"), bulkHideOrdersForBuyer);
+router.post("/:id/reorder", protect, authorize("customer"), reorder);
+router.get("/:id/pickup-code", protect, authorize("customer"), getPickupCode);
+router.put("/:id/items", protect, authorize("customer"), updateOrderItems);
 router.put("/:id/cancel-customer", protect, authorize("customer"), cancelOrderByCustomer);
 router.put("/:id/hide-buyer", protect, authorize("customer"), hideOrderForBuyer);
+router.post("/:id/payment-proof", protect, authorize("customer"), uploadReceiptImage.single("proof"), submitPaymentProof);
 
 // Seller routes
 router.get("/seller", protect, authorize("seller"), getSellerOrders);
 router.get("/seller/analytics", protect, authorize("seller"), getSellerAnalytics);
+router.get("/seller/analytics/export", protect, authorize("seller"), exportSellerAnalytics);
+router.get("/seller/packing-slips", protect, authorize("seller"), getPackingSlips);
 router.put("/bulk-archive", protect, authorize("seller"), bulkArchiveOrders);
 router.put("/bulk-cancel", protect, authorize("seller"), bulkCancelOrders);
 router.put("/:id/status", protect, authorize("seller"), updateOrderStatus);
 router.put("/:id/payment", protect, authorize("seller"), verifyPayment);
+router.put("/:id/payment/reject", protect, authorize("seller"), rejectPayment);
 router.put("/:id/archive", protect, authorize("seller"), archiveOrder);
 
-// Shared route
+// Refund routes
+router.post("/:id/refunds", protect, authorize("customer", "seller"), requestRefund);
+router.put("/:id/refunds/:refundId/issue", protect, authorize("seller"), uploadReceiptImage.single("proof"), issueRefund);
+router.put("/:id/refunds/:refundId/confirm", protect, authorize("customer"), confirmRefund);
+
+// Delivery routes
+router.get("/rider", protect, authorize("rider"), getRiderOrders);
+router.put("/:id/rider", protect, authorize("seller"), assignRider);
+router.put("/:id/delivery", protect, authorize("seller", "rider"), uploadDeliveryProof.single("proof"), updateDeliveryStatus);
+router.put("/:id/complete", protect, authorize("seller", "rider"), uploadScanImage.single("scan"), completeWithPickupCode);
+
+// Substitution routes
+router.post("/:id/items/:itemId/substitution", protect, authorize("seller"), proposeSubstitution);
+router.put("/:id/items/:itemId/substitution", protect, authorize("customer"), respondToSubstitution);
+
+// Shared routes
+router.get("/:id/receipt", protect, getOrderReceipt);
 router.get("/:id", protect, getOrder);
 
 export default router;
@@ -2,6 +2,7 @@ import express from "express";
 import {
   createProduct,
   getSellerProducts,
+  getDemandForecast,
   getAllProducts,
   getProduct,
   updateProduct,
@@ -25,6 +26,7 @@ router.get("/sellers/list", protect, authorize("customer"), getVerifiedSellers);
 
 // Protected routes (Seller only)
 router.get("/seller/my-products", protect, authorize("seller"), getSellerProducts);
+router.get("/seller/forecast", protect, authorize("seller"), getDemandForecast);
 router.post("/", protect, authorize("seller"), createProduct);
 router.delete("/bulk", protect, authorize("seller"), bulkDeleteProducts);
 router.put("/bulk-availability", protect, authorize("seller"), bulkToggleAvailability);
@@ -16,6 +16,18 @@ import {
   exportCSV,
   importJSON
 } from "../controllers/backupController.js";
+import {
+  getDeliveryZones,
+  createDeliveryZone,
+  updateDeliveryZone,
+  deleteDeliveryZone
+} from "../controllers/deliveryZoneController.js";
+import {
+  getRiders,
+  createRider,
+  deactivateRider,
+  activateRider
+} from "../controllers/riderController.js";
 import { protect, authorize } from "../middleware/authMiddleware.js";
 import { uploadQRImage } from "../middleware/uploadMiddleware.js";
 
@@ -44,4 +56,16 @@ router.put("/seller", authorize("seller"), updateSellerSettings);
 router.post("/payment-qr", authorize("seller"), uploadQRImage.single("qr"), uploadPaymentQR);
 router.delete("/payment-qr", authorize("seller"), deletePaymentQR);
 
+// Seller delivery zones (override the admin zones for sellers with own delivery)
+router.get("/delivery-zones", authorize("seller"), getDeliveryZones);
+router.post("/delivery-zones", authorize("seller"), createDeliveryZone);
+router.put("/delivery-zones/:id", authorize("seller"), updateDeliveryZone);
+router.delete("/delivery-zones/:id", authorize("seller"), deleteDeliveryZone);
+
+// Seller delivery riders
+router.get("/riders", authorize("seller"), getRiders);
+router.post("/riders", authorize("seller"), createRider);
+router.put("/riders/:id/deactivate", authorize("seller"), deactivateRider);
+router.put("/riders/:id/activate", authorize("seller"), activateRider);
+
 export default router;
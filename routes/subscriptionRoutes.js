@@ -0,0 +1,23 @@
+import express from "express";
+import {
+  getSubscriptions,
+  createSubscription,
+  updateSubscription,
+  deleteSubscription
+} from "../controllers/subscriptionController.js";
+import { protect, authorize } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// All routes require a customer account
+router.use(protect, authorize("customer"));
+
+router.route("/")
+  .get(getSubscriptions)
+  .post(createSubscription);
+
+router.route("/:id")
+  .put(updateSubscription)
+  .delete(deleteSubscription);
+
+export default router;
@@ -0,0 +1,85 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { MongoMemoryReplSet } from "mongodb-memory-server";
+import Cart from "../models/Cart.js";
+import Order from "../models/Order.js";
+import Product from "../models/Product.js";
+import User from "../models/User.js";
+import { placeOrders } from "../utils/checkout.js";
+
+// Checkout runs in transactions, which need a replica set
+let replSet;
+
+const OPEN_ALL_DAY = { open: "00:00", close: "24:00", isClosed: false };
+
+before(async () => {
+  replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: "wiredTiger" } });
+  await mongoose.connect(replSet.getUri());
+
+  // Collections are created up front so parallel transactions do not race to create them
+  await Promise.all([Cart, Order, Product, User].map(model => model.createCollection()));
+});
+
+after(async () => {
+  await mongoose.disconnect();
+  await replSet?.stop();
+});
+
+// Same transaction the checkout endpoint runs placeOrders in
+const checkout = async (buyer, items) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let placed;
+    await session.withTransaction(async () => {
+      placed = await placeOrders({ buyer, items, deliveryType: "pickup" }, session);
+    });
+    return { orders: placed.orders };
+  } catch (error) {
+    return { error };
+  } finally {
+    await session.endSession();
+  }
+};
+
+test("parallel checkouts never take more stock than there is", async () => {
+  const seller = await User.create({
+    name: "Test Seller",
+    email: "seller@example.com",
+    password: "password123",
+    role: "seller",
+    operatingHours: Object.fromEntries(
+      ["monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday"].map(day => [day, OPEN_ALL_DAY])
+    )
+  });
+
+  const stock = 5;
+  const product = await Product.create({
+    name: "Tomatoes",
+    price: 80,
+    quantity: stock,
+    unit: "kg",
+    seller: seller._id,
+    marketLocation: "San Nicolas Market"
+  });
+
+  const buyers = Array.from({ length: 20 }, () => ({ _id: new mongoose.Types.ObjectId() }));
+  const results = await Promise.all(buyers.map(buyer =>
+    checkout(buyer, [{ productId: product._id.toString(), quantity: 1 }])
+  ));
+
+  const placed = results.filter(r => r.orders);
+  const rejected = results.filter(r => r.error);
+
+  assert.equal(placed.length, stock);
+  assert.equal(rejected.length, buyers.length - stock);
+  for (const { error } of rejected) {
+    assert.equal(error.statusCode, 409);
+    assert.equal(error.details.conflicts[0].reason, "insufficient_stock");
+  }
+
+  const remaining = await Product.findById(product._id);
+  assert.equal(remaining.quantity, 0);
+  assert.equal(await Order.countDocuments({ "items.product": product._id }), stock);
+});
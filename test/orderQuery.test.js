@@ -0,0 +1,28 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildOrderFilter } from "../utils/orderQuery.js";
+
+const assertHttpError = (promise, statusCode) => assert.rejects(promise, error => error.statusCode === statusCode);
+
+test("statuses can be comma-separated or repeated", async () => {
+  assert.deepEqual(await buildOrderFilter({ status: "pending,ready" }), { status: { $in: ["pending", "ready"] } });
+  assert.deepEqual(
+    await buildOrderFilter({ status: ["pending", "ready,completed"] }),
+    { status: { $in: ["pending", "ready", "completed"] } }
+  );
+  assert.deepEqual(await buildOrderFilter({ status: "all" }), {});
+  await assertHttpError(buildOrderFilter({ status: "shipped" }), 400);
+});
+
+test("other filters may only be given once", async () => {
+  await assertHttpError(buildOrderFilter({ paymentMethod: ["qr", "cod"] }), 400);
+  await assertHttpError(buildOrderFilter({ buyerName: ["Ana", "Ben"] }), 400);
+});
+
+test("date-only bounds are whole Manila days", async () => {
+  const { createdAt } = await buildOrderFilter({ from: "2024-01-01", to: "2024-01-31" });
+
+  assert.equal(createdAt.$gte.toISOString(), "2023-12-31T16:00:00.000Z");
+  assert.equal(createdAt.$lt.toISOString(), "2024-01-31T16:00:00.000Z");
+  await assertHttpError(buildOrderFilter({ from: "yesterday" }), 400);
+});
@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import Product from "../models/Product.js";
+import { isSamePackSize, toStockQuantity } from "../utils/inventory.js";
+
+// A product stocked in kg, also sold in 250 g packs
+const buildProduct = () => new Product({
+  name: "Rice",
+  price: 60,
+  quantity: 10,
+  unit: "kg",
+  variants: [{ unit: "g", size: 250, price: 16 }]
+});
+
+test("a line held at the variant's current size can be topped up", () => {
+  const product = buildProduct();
+  const option = product.getOption(product.variants[0]._id);
+  const line = { quantity: 2, stockPerUnit: option.stockPerUnit };
+
+  assert.equal(option.stockPerUnit, 0.25);
+  assert.equal(isSamePackSize(line, option), true);
+  assert.equal(toStockQuantity(line.quantity + 1, line.stockPerUnit), 0.75);
+});
+
+test("a line held before the variant was resized cannot be topped up", () => {
+  const product = buildProduct();
+  const line = { quantity: 2, stockPerUnit: product.getOption(product.variants[0]._id).stockPerUnit };
+
+  product.variants[0].size = 500;
+  const resized = product.getOption(product.variants[0]._id);
+
+  assert.equal(resized.stockPerUnit, 0.5);
+  assert.equal(isSamePackSize(line, resized), false);
+});
+
+test("lines saved before variants existed count one stock unit per unit", () => {
+  const product = buildProduct();
+
+  assert.equal(isSamePackSize({ quantity: 1 }, product.getOption(null)), true);
+  assert.equal(isSamePackSize({ quantity: 1 }, product.getOption(product.variants[0]._id)), false);
+});
@@ -0,0 +1,20 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parsePickupCode, pickupCodesMatch, readPickupScan } from "../utils/pickupCode.js";
+
+test("reads scanned QR text and typed codes", () => {
+  const orderId = "0123456789abcdef01234567";
+
+  assert.deepEqual(parsePickupCode(`mealchoice-pickup:${orderId}:ab12cd`), { orderId, code: "AB12CD" });
+  assert.deepEqual(parsePickupCode(" ab12cd "), { orderId: null, code: "AB12CD" });
+});
+
+test("codes must match exactly", () => {
+  assert.equal(pickupCodesMatch("AB12CD", "AB12CD"), true);
+  assert.equal(pickupCodesMatch("AB12CD", "AB12C"), false);
+  assert.equal(pickupCodesMatch("", ""), false);
+});
+
+test("an upload that is not an image is a client error", async () => {
+  await assert.rejects(readPickupScan(Buffer.from("not an image")), error => error.statusCode === 400);
+});
@@ -0,0 +1,87 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Order from "../models/Order.js";
+import { priceRefund } from "../utils/refunds.js";
+
+const customer = new mongoose.Types.ObjectId();
+
+// Paid ₱250: 2 kg at ₱50 and 3 pieces at ₱50
+const buildOrder = (overrides = {}) => new Order({
+  buyer: customer,
+  seller: new mongoose.Types.ObjectId(),
+  items: [
+    { product: new mongoose.Types.ObjectId(), name: "Pork", price: 50, quantity: 2, unit: "kg" },
+    { product: new mongoose.Types.ObjectId(), name: "Mango", price: 50, quantity: 3, unit: "piece" }
+  ],
+  total: 250,
+  marketLocation: "San Nicolas Market",
+  paymentMethod: "qr",
+  isPaymentVerified: true,
+  ...overrides
+});
+
+const assertHttpError = (fn, statusCode) => assert.throws(fn, error => error.statusCode === statusCode);
+
+test("prices a partial refund per line, in the line's quantity steps", () => {
+  const order = buildOrder();
+  const [pork] = order.items;
+
+  const { amount, items } = priceRefund(order, [{ itemId: pork._id.toString(), quantity: 0.75 }]);
+
+  assert.equal(amount, 37.5);
+  assert.equal(items[0].quantity, 0.75);
+  assertHttpError(() => priceRefund(order, [{ itemId: pork._id.toString(), quantity: 0.3 }]), 400);
+});
+
+test("rejects a line listed twice in one request", () => {
+  const order = buildOrder();
+  const itemId = order.items[0]._id.toString();
+
+  assertHttpError(() => priceRefund(order, [{ itemId, quantity: 2 }, { itemId, quantity: 2 }]), 400);
+});
+
+test("rejects quantities that are not numbers", () => {
+  const order = buildOrder();
+
+  assertHttpError(() => priceRefund(order, [{ itemId: order.items[0]._id.toString(), quantity: "lots" }]), 400);
+});
+
+test("refunds a line at most once in total across requests", () => {
+  const order = buildOrder();
+  const itemId = order.items[0]._id.toString();
+
+  const first = priceRefund(order, [{ itemId, quantity: 1.5 }]);
+  order.refunds.push({ ...first, requestedBy: customer });
+
+  assertHttpError(() => priceRefund(order, [{ itemId, quantity: 1 }]), 400);
+  assert.equal(priceRefund(order, [{ itemId }]).amount, 25);
+});
+
+test("a full refund only covers what has not been refunded yet", () => {
+  const order = buildOrder({ status: "cancelled" });
+  const itemId = order.items[1]._id.toString();
+
+  order.refunds.push({ ...priceRefund(order, [{ itemId, quantity: 1 }]), requestedBy: customer });
+
+  assert.equal(priceRefund(order).amount, 200);
+
+  order.refunds.push({ ...priceRefund(order), requestedBy: customer });
+  assertHttpError(() => priceRefund(order), 400);
+});
+
+test("refunds already taken off the total do not count against it", () => {
+  // A cheaper substitute took ₱30 off the ₱250 paid, and was refunded as an adjustment
+  const order = buildOrder({ status: "cancelled", total: 220 });
+  order.refunds.push({ amount: 30, adjustment: true, items: [], requestedBy: customer });
+
+  // A declined line was removed from the order and refunded with it
+  order.refunds.push({
+    amount: 40,
+    items: [{ item: new mongoose.Types.ObjectId(), name: "Removed", quantity: 1, amount: 40 }],
+    requestedBy: customer
+  });
+
+  assert.equal(order.getRefundedAmount(), 0);
+  assert.equal(priceRefund(order).amount, 220);
+});
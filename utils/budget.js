@@ -0,0 +1,29 @@
+import Order from "../models/Order.js";
+
+/**
+ * Start of the current budget periods: today, and the week starting Sunday
+ */
+export const getBudgetPeriods = (now = new Date()) => {
+  const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+  const startOfWeek = new Date(startOfToday);
+  startOfWeek.setDate(startOfWeek.getDate() - startOfWeek.getDay());
+
+  return { startOfToday, startOfWeek };
+};
+
+/**
+ * Total a buyer has spent on orders placed since a date
+ * @param {string} userId - Buyer
+ * @param {Date} since - Start of the period
+ * @param {Object} [statusFilter] - Order.status condition; completed orders by default
+ */
+export const getSpentSince = async (userId, since, statusFilter = "completed") => {
+  const orders = await Order.find({
+    buyer: userId,
+    status: statusFilter,
+    createdAt: { $gte: since }
+  }).select("total");
+
+  return orders.reduce((sum, order) => sum + order.total, 0);
+};
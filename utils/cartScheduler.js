@@ -0,0 +1,61 @@
+import cron from "node-cron";
+import mongoose from "mongoose";
+import Cart from "../models/Cart.js";
+import { releaseHeldStock, toStockQuantity } from "./inventory.js";
+
+let scheduledJob = null;
+
+// Release every cart hold whose time has run out
+const releaseExpiredHolds = async () => {
+  const now = new Date();
+
+  try {
+    const carts = await Cart.find({ "items.heldUntil": { $lte: now } }).select("_id");
+
+    for (const { _id } of carts) {
+      const session = await mongoose.startSession();
+
+      try {
+        await session.withTransaction(async () => {
+          // Re-read inside the transaction so a concurrent checkout or cart edit wins cleanly
+          const cart = await Cart.findById(_id).session(session);
+          if (!cart) return;
+
+          const expired = cart.items.filter(i => i.heldUntil <= now);
+          for (const item of expired) {
+            await releaseHeldStock(item.product, toStockQuantity(item.quantity, item.stockPerUnit), session);
+          }
+
+          cart.items = cart.items.filter(i => i.heldUntil > now);
+          await cart.save({ session });
+        });
+      } catch (error) {
+        console.error(`[CartScheduler] Failed to release holds for cart ${_id}:`, error);
+      } finally {
+        await session.endSession();
+      }
+    }
+
+    if (carts.length > 0) {
+      console.log(`[CartScheduler] Released expired holds in ${carts.length} cart(s)`);
+    }
+  } catch (error) {
+    console.error("[CartScheduler] Sweep failed:", error);
+  }
+};
+
+// Initialize scheduler on server start
+export const initCartScheduler = () => {
+  if (scheduledJob) {
+    scheduledJob.stop();
+  }
+
+  // Sweep every minute
+  scheduledJob = cron.schedule("* * * * *", releaseExpiredHolds, {
+    timezone: "Asia/Manila" // Philippine timezone
+  });
+
+  console.log("[CartScheduler] Cart hold sweeper scheduled");
+};
+
+export default { initCartScheduler, releaseExpiredHolds };
@@ -0,0 +1,282 @@
+import mongoose from "mongoose";
+import Cart from "../models/Cart.js";
+import Order from "../models/Order.js";
+import Product from "../models/Product.js";
+import User from "../models/User.js";
+import { emitLowStockNotification, emitNewOrderNotification } from "./socket.js";
+import { sendLowStockEmail, sendNewOrderEmail } from "./sendEmail.js";
+import { createHttpError } from "./httpError.js";
+import { releaseCartHolds, reserveStock } from "./inventory.js";
+import { quoteDeliveryFee } from "./deliveryFee.js";
+import { bookSlot, isSellerOpenAt } from "./pickupSlots.js";
+import { roundCurrency, sumLineAmounts } from "./money.js";
+import { checkQuantity } from "./units.js";
+
+/**
+ * Order line for a quantity of a product in the chosen option
+ * (see Product#getOption), priced as of now
+ */
+export const buildOrderLine = (product, option, quantity) => ({
+  product: product._id,
+  name: product.name,
+  price: option.price,
+  quantity,
+  unit: option.unit,
+  variant: option.variant,
+  sku: option.sku,
+  size: option.size,
+  stockPerUnit: option.stockPerUnit,
+  image: product.image
+});
+
+/**
+ * Check requested quantities against their unit's step and minimum
+ * (e.g. 0.25 kg) before any stock is taken. Lines whose product or variant
+ * cannot be found are left for reserveStock to report as conflicts.
+ * @param {Array<{productId: string, variantId?: string, quantity: number}>} items - Requested line items
+ * @param {ClientSession} [session] - Mongo session the lookup runs in
+ * @throws 400 HTTP error listing the invalid lines
+ */
+const checkLineQuantities = async (items, session = null) => {
+  const productIds = items.map(item => item.productId).filter(id => mongoose.isValidObjectId(id));
+  const products = await Product.find({ _id: { $in: productIds } }).session(session);
+  const invalid = [];
+
+  for (const item of items) {
+    const product = products.find(p => p._id.toString() === String(item.productId));
+    const option = product?.getOption(item.variantId);
+    const message = option && checkQuantity(item.quantity, option, product.name);
+
+    if (message) {
+      invalid.push({ productId: product._id, variantId: option.variant, message });
+    }
+  }
+
+  if (invalid.length > 0) {
+    throw createHttpError(400, invalid[0].message, { invalid });
+  }
+};
+
+/**
+ * Place one order per seller for a checkout.
+ * Runs inside the caller's transaction: stock is taken with guarded atomic
+ * decrements and an invalid quantity, conflict, closed stall or full slot
+ * throws an HTTP error so the whole checkout rolls back. Safe to re-run when withTransaction
+ * retries, since it keeps no state between calls.
+ * @param {Object} checkout
+ * @param {Document} checkout.buyer - Buyer user document
+ * @param {Array<{productId: string, variantId?: string, quantity: number}>} checkout.items - Requested line items
+ * @param {string} [checkout.notes] - Order notes
+ * @param {Object} [checkout.paymentMethods] - { [sellerId]: "qr" | "cod" }
+ * @param {string} [checkout.deliveryType] - "pickup" or "delivery"
+ * @param {Object} [checkout.deliveryAddress] - Address used for delivery orders
+ * @param {Object} [checkout.slots] - { [sellerId]: slot start }
+ * @param {Object} [checkout.receipts] - { [sellerId]: { url, check } } uploaded payment receipts
+ * @param {ClientSession} session - Mongo session of the checkout transaction
+ * @returns {Promise<{orders: Document[], lowStockProducts: Document[]}>}
+ */
+export const placeOrders = async ({
+  buyer,
+  items,
+  notes,
+  paymentMethods = {},
+  deliveryType,
+  deliveryAddress,
+  slots = {},
+  receipts = {}
+}, session) => {
+  const orders = [];
+  const lowStockProducts = [];
+
+  // Loose goods come in steps with a minimum (e.g. 0.25 kg); packs and pieces are whole
+  await checkLineQuantities(items, session);
+
+  // Stock the buyer holds in their cart goes back to free stock first,
+  // then checkout takes it like any other stock
+  const cart = await Cart.findOne({ user: buyer._id }).session(session);
+  if (cart) {
+    await releaseCartHolds(cart, items, session);
+    await cart.save({ session });
+  }
+
+  // Take stock with guarded atomic decrements; any conflict rolls back the whole checkout
+  const { reserved, conflicts } = await reserveStock(items, session);
+
+  if (conflicts.length > 0) {
+    throw createHttpError(409, "Some items are not available in the requested quantity", { conflicts });
+  }
+
+  // Group items by seller
+  const ordersBySeller = {};
+
+  for (const { item, product, option } of reserved) {
+    const sellerId = product.seller.toString();
+
+    if (!ordersBySeller[sellerId]) {
+      ordersBySeller[sellerId] = {
+        seller: product.seller,
+        marketLocation: product.marketLocation,
+        items: []
+      };
+    }
+
+    ordersBySeller[sellerId].items.push(buildOrderLine(product, option, item.quantity));
+
+    // Check if product is now low on stock
+    if (product.quantity <= product.lowStockThreshold && product.quantity > 0) {
+      lowStockProducts.push(product);
+    }
+  }
+
+  // Create orders for each seller
+  for (const sellerId in ordersBySeller) {
+    const orderData = ordersBySeller[sellerId];
+    const receipt = receipts[sellerId];
+    const subtotal = sumLineAmounts(orderData.items);
+
+    const seller = await User.findById(sellerId).session(session);
+    if (!seller) {
+      throw createHttpError(404, `Seller not found: ${sellerId}`);
+    }
+
+    // Orders go into the chosen slot, or need the stall to be open right now
+    let scheduledSlot = null;
+    if (slots[sellerId]) {
+      scheduledSlot = await bookSlot(seller, slots[sellerId], session);
+    } else if (!isSellerOpenAt(seller)) {
+      throw createHttpError(409, `${seller.stallName || seller.name} is closed right now. Please choose a pickup slot.`, {
+        sellerId
+      });
+    }
+
+    // Delivery fee comes from the zone covering the address (seller zones first)
+    let deliveryFee = 0;
+    if (deliveryType === 'delivery' && deliveryAddress?.city) {
+      const quote = await quoteDeliveryFee({
+        sellerId,
+        address: deliveryAddress,
+        items: orderData.items,
+        subtotal
+      });
+      deliveryFee = quote.fee;
+    }
+
+    const order = new Order({
+      buyer: buyer._id,
+      seller: orderData.seller,
+      items: orderData.items,
+      total: roundCurrency(subtotal + deliveryFee), // Include delivery fee in total
+      marketLocation: orderData.marketLocation,
+      notes,
+      paymentMethod: paymentMethods[sellerId] || 'qr',
+      paymentProof: receipt?.url || null,
+      paymentProofs: receipt ? [{
+        url: receipt.url,
+        fileHash: receipt.check?.fileHash,
+        perceptualHash: receipt.check?.perceptualHash
+      }] : [],
+      receiptChecks: receipt?.check,
+      deliveryType: deliveryType || 'pickup',
+      deliveryAddress: deliveryType === 'delivery' && deliveryAddress ? {
+        fullAddress: deliveryAddress.fullAddress,
+        barangay: deliveryAddress.barangay,
+        city: deliveryAddress.city,
+        province: deliveryAddress.province,
+        postalCode: deliveryAddress.postalCode,
+        contactPhone: deliveryAddress.contactPhone,
+        deliveryNotes: deliveryAddress.deliveryNotes
+      } : null,
+      deliveryFee: deliveryFee,
+      scheduledSlot
+    });
+
+    await order.save({ session });
+    orders.push(order);
+  }
+
+  return { orders, lowStockProducts };
+};
+
+/**
+ * Recompute an order's delivery fee and total after its items changed.
+ * Does not save the order.
+ * @param {Document} order - Order document
+ */
+export const recalculateOrderTotal = async (order) => {
+  const subtotal = sumLineAmounts(order.items);
+
+  if (order.deliveryType === 'delivery' && order.deliveryAddress?.city) {
+    const quote = await quoteDeliveryFee({
+      sellerId: order.seller,
+      address: order.deliveryAddress,
+      items: order.items,
+      subtotal
+    });
+    order.deliveryFee = quote.fee;
+  }
+
+  order.total = roundCurrency(subtotal + order.deliveryFee);
+};
+
+// Notify a seller (socket + email) that a product is running low
+const notifyLowStock = async (product) => {
+  const sellerId = product.seller.toString();
+
+  // Emit real-time notification to seller
+  emitLowStockNotification(sellerId, product);
+
+  // Also send email notification
+  try {
+    const seller = await User.findById(sellerId);
+    if (seller && seller.email) {
+      await sendLowStockEmail({
+        to: seller.email,
+        productName: product.name,
+        currentStock: product.quantity,
+        threshold: product.lowStockThreshold
+      });
+    }
+  } catch (emailError) {
+    console.error("Failed to send low stock email:", emailError);
+  }
+};
+
+/**
+ * Send new-order and low-stock notifications for a placed checkout.
+ * Call only after the checkout transaction has committed.
+ * @param {{buyer: Document, orders: Document[], lowStockProducts: Document[]}} checkout
+ */
+export const notifyPlacedOrders = async ({ buyer, orders, lowStockProducts }) => {
+  for (const product of lowStockProducts) {
+    await notifyLowStock(product);
+  }
+
+  for (const order of orders) {
+    const sellerId = order.seller.toString();
+
+    // Notify seller about new order
+    try {
+      const seller = await User.findById(sellerId);
+      if (seller) {
+        // Emit real-time notification
+        emitNewOrderNotification(sellerId, order, buyer.name);
+
+        // Send email notification
+        if (seller.email) {
+          await sendNewOrderEmail({
+            to: seller.email,
+            sellerName: seller.name,
+            orderId: order._id,
+            buyerName: buyer.name,
+            items: order.items,
+            total: order.total,
+            marketLocation: order.marketLocation
+          });
+        }
+      }
+    } catch (notifyError) {
+      console.error("Failed to send order notification:", notifyError);
+      // Don't fail the order creation if notification fails
+    }
+  }
+};
@@ -0,0 +1,119 @@
+import DeliveryZone from "../models/DeliveryZone.js";
+import User from "../models/User.js";
+import { roundCurrency } from "./money.js";
+
+// Fee charged when no delivery zone covers the address
+export const DEFAULT_DELIVERY_FEE = Number(process.env.DEFAULT_DELIVERY_FEE) || 50;
+
+// Kilograms per unit for weight-based surcharges; other units carry no weight
+const KG_PER_UNIT = { kg: 1, g: 0.001 };
+
+// "Angeles City", "City of Angeles" and "angeles" all compare equal
+const normalizePlace = (value) => (value || "")
+  .toLowerCase()
+  .replace(/^city of\s+/, "")
+  .replace(/\s+city$/, "")
+  .replace(/\s+/g, " ")
+  .trim();
+
+/**
+ * Pick the most specific zone covering an address: a barangay match beats
+ * a whole-city match
+ */
+const findZone = (zones, address) => {
+  const city = normalizePlace(address.city);
+  const barangay = normalizePlace(address.barangay);
+
+  const cityZones = zones.filter(z => normalizePlace(z.city) === city);
+
+  return cityZones.find(z => barangay && z.barangays.some(b => normalizePlace(b) === barangay)) ||
+    cityZones.find(z => z.barangays.length === 0) ||
+    null;
+};
+
+// Zones the flat city rule used to cover: Angeles City was ₱25, everywhere else the default
+const DEFAULT_ZONES = [
+  { name: "Angeles City", city: "Angeles City", baseFee: 25 }
+];
+
+/**
+ * Create the admin-managed zones for the former flat city rule, so fees
+ * do not change when zones replace it. A city that already has a zone
+ * (even an inactive one) is left alone, so admins' edits are kept.
+ */
+export const ensureDefaultZones = async () => {
+  const globalZones = await DeliveryZone.find({ seller: null }).select("city");
+
+  for (const zone of DEFAULT_ZONES) {
+    if (globalZones.some(z => normalizePlace(z.city) === normalizePlace(zone.city))) continue;
+
+    await DeliveryZone.create(zone);
+    console.log(`[Delivery] Created default ${zone.name} zone (₱${zone.baseFee})`);
+  }
+};
+
+/**
+ * Total weight in kg of the weight-based lines of an order (sized packs count their size)
+ */
+export const getOrderWeightKg = (items) => {
+  return items.reduce((sum, item) => sum + (KG_PER_UNIT[item.unit] || 0) * (item.size || 1) * item.quantity, 0);
+};
+
+/**
+ * Quote the delivery fee for one seller's part of an order.
+ * Sellers with their own delivery use their own zones first; otherwise the
+ * admin-managed zones apply, falling back to DEFAULT_DELIVERY_FEE.
+ * @param {Object} options
+ * @param {string} options.sellerId - Seller fulfilling the order
+ * @param {Object} options.address - Delivery address ({ city, barangay })
+ * @param {Array<{quantity: number, unit: string, size?: number}>} options.items - Order lines
+ * @param {number} options.subtotal - Items total before delivery
+ * @returns {Promise<{fee: number, zone: Object|null, breakdown: Object}>}
+ */
+export const quoteDeliveryFee = async ({ sellerId, address, items, subtotal }) => {
+  const seller = await User.findById(sellerId).select("hasOwnDelivery");
+
+  let zone = null;
+
+  if (seller && seller.hasOwnDelivery) {
+    const sellerZones = await DeliveryZone.find({ seller: sellerId, isActive: true });
+    zone = findZone(sellerZones, address);
+  }
+
+  if (!zone) {
+    const globalZones = await DeliveryZone.find({ seller: null, isActive: true });
+    zone = findZone(globalZones, address);
+  }
+
+  if (!zone) {
+    return {
+      fee: DEFAULT_DELIVERY_FEE,
+      zone: null,
+      breakdown: { baseFee: DEFAULT_DELIVERY_FEE, distanceFee: 0, weightFee: 0, freeDelivery: false }
+    };
+  }
+
+  const weightKg = getOrderWeightKg(items);
+  const breakdown = {
+    baseFee: zone.baseFee,
+    distanceFee: roundCurrency(zone.perKmFee * zone.distanceKm),
+    // Charged per started kilogram
+    weightFee: roundCurrency(zone.perKgFee * Math.ceil(weightKg)),
+    freeDelivery: zone.freeDeliveryThreshold !== null && subtotal >= zone.freeDeliveryThreshold
+  };
+
+  const fee = breakdown.freeDelivery
+    ? 0
+    : roundCurrency(breakdown.baseFee + breakdown.distanceFee + breakdown.weightFee);
+
+  return {
+    fee,
+    zone: {
+      id: zone._id,
+      name: zone.name,
+      isSellerZone: Boolean(zone.seller),
+      freeDeliveryThreshold: zone.freeDeliveryThreshold
+    },
+    breakdown
+  };
+};
@@ -0,0 +1,150 @@
+import Order from "../models/Order.js";
+import Product from "../models/Product.js";
+import { createHttpError } from "./httpError.js";
+import { MANILA_OFFSET_MS, startOfManilaDay } from "./pickupSlots.js";
+import { roundQuantity } from "./units.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAY_NAMES = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+
+export const DEFAULT_HISTORY_WEEKS = 8;
+const MAX_HISTORY_WEEKS = 26;
+
+// Weight of the most recent week in the exponential smoothing (0-1)
+const SMOOTHING_ALPHA = 0.4;
+// Same-weekday samples needed before the weekday pattern is trusted
+const MIN_WEEKDAY_SAMPLES = 2;
+// Extra stock recommended on top of the forecast for goods that keep
+const NON_PERISHABLE_BUFFER = 0.2;
+// Days perishable stock is assumed to stay sellable
+const PERISHABLE_SHELF_DAYS = 2;
+
+const dayKey = (dayStart) => new Date(dayStart.getTime() + MANILA_OFFSET_MS).toISOString().slice(0, 10);
+const weekday = (dayStart) => new Date(dayStart.getTime() + MANILA_OFFSET_MS).getUTCDay();
+const round = (value) => Math.round(value * 10) / 10;
+
+const smooth = (values) => values.reduce(
+  (level, value, i) => (i === 0 ? value : SMOOTHING_ALPHA * value + (1 - SMOOTHING_ALPHA) * level),
+  0
+);
+
+const average = (values) => (values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : 0);
+
+/**
+ * Stock ordered per product per Manila day, in the product's unit (cancelled orders excluded)
+ * @returns {Promise<Map<string, Map<string, number>>>} productId -> day -> units
+ */
+const loadDailyDemand = async (sellerId, from, to) => {
+  const rows = await Order.aggregate([
+    { $match: { seller: sellerId, status: { $ne: "cancelled" }, createdAt: { $gte: from, $lt: to } } },
+    { $unwind: "$items" },
+    { $match: { "items.product": { $ne: null } } },
+    {
+      $group: {
+        _id: {
+          product: "$items.product",
+          day: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt", timezone: "Asia/Manila" } }
+        },
+        // Variant lines count the product stock they drew on
+        quantity: { $sum: { $multiply: ["$items.quantity", { $ifNull: ["$items.stockPerUnit", 1] }] } }
+      }
+    }
+  ]);
+
+  const demand = new Map();
+  for (const row of rows) {
+    const productId = row._id.product.toString();
+    if (!demand.has(productId)) demand.set(productId, new Map());
+    demand.get(productId).set(row._id.day, row.quantity);
+  }
+  return demand;
+};
+
+/**
+ * Forecast one product's demand for each weekday.
+ * Each weekday is the exponentially smoothed series of that weekday's sales,
+ * oldest first; weekdays with too little history fall back to the
+ * moving average of the last seven days.
+ * @param {{day: number, quantity: number}[]} history - Daily sales, oldest first
+ */
+const forecastWeekdays = (history) => {
+  const recentAverage = average(history.slice(-7).map(h => h.quantity));
+
+  return DAY_NAMES.map((_, day) => {
+    const samples = history.filter(h => h.day === day).map(h => h.quantity);
+    return samples.length >= MIN_WEEKDAY_SAMPLES ? smooth(samples) : recentAverage;
+  });
+};
+
+/**
+ * Recommend tomorrow's stock for each of a seller's products
+ * @param {ObjectId} sellerId - Seller
+ * @param {Object} [options]
+ * @param {number} [options.weeks] - Weeks of order history to learn from
+ * @param {Date} [options.now]
+ * @throws 400 HTTP error for an invalid history length
+ */
+export const forecastSellerDemand = async (sellerId, { weeks = DEFAULT_HISTORY_WEEKS, now = new Date() } = {}) => {
+  if (!Number.isInteger(weeks) || weeks < 1 || weeks > MAX_HISTORY_WEEKS) {
+    throw createHttpError(400, `Weeks must be between 1 and ${MAX_HISTORY_WEEKS}`);
+  }
+
+  // Learn from whole days only, up to the end of yesterday
+  const today = startOfManilaDay(now);
+  const from = new Date(today.getTime() - weeks * 7 * DAY_MS);
+  const tomorrow = new Date(today.getTime() + DAY_MS);
+
+  const [products, demand] = await Promise.all([
+    Product.find({ seller: sellerId }).sort({ name: 1 }),
+    loadDailyDemand(sellerId, from, today)
+  ]);
+
+  const forecasts = products.map(product => {
+    const sales = demand.get(product._id.toString()) || new Map();
+
+    // Days before the product was listed would read as zero demand
+    const listedDay = startOfManilaDay(product.createdAt || from);
+    const history = [];
+    for (let day = listedDay > from ? listedDay : from; day < today; day = new Date(day.getTime() + DAY_MS)) {
+      history.push({ day: weekday(day), quantity: sales.get(dayKey(day)) || 0 });
+    }
+
+    const byWeekday = forecastWeekdays(history);
+    const forecast = byWeekday[weekday(tomorrow)];
+    const perishable = product.productType === "perishable";
+    const stock = product.totalQuantity;
+
+    const recommendedStock = Math.ceil(forecast * (perishable ? 1 : 1 + NON_PERISHABLE_BUFFER));
+
+    // Perishable stock beyond what should sell before it goes bad
+    let shelfDemand = 0;
+    for (let i = 0; i < PERISHABLE_SHELF_DAYS; i++) {
+      shelfDemand += byWeekday[(weekday(tomorrow) + i) % 7];
+    }
+    const expectedSurplus = perishable ? roundQuantity(Math.max(stock - Math.ceil(shelfDemand), 0)) : 0;
+
+    return {
+      product: product._id,
+      name: product.name,
+      unit: product.unit,
+      productType: product.productType,
+      isAvailable: product.isAvailable,
+      currentStock: stock,
+      forecast: round(forecast),
+      recommendedStock,
+      restockQuantity: roundQuantity(Math.max(recommendedStock - stock, 0)),
+      likelyToSpoil: expectedSurplus > 0,
+      expectedSurplus,
+      historyDays: history.length,
+      lowConfidence: history.filter(h => h.day === weekday(tomorrow)).length < MIN_WEEKDAY_SAMPLES,
+      weekdayForecast: Object.fromEntries(DAY_NAMES.map((name, day) => [name, round(byWeekday[day])]))
+    };
+  });
+
+  return {
+    date: dayKey(tomorrow),
+    weekday: DAY_NAMES[weekday(tomorrow)],
+    historyWeeks: weeks,
+    forecasts
+  };
+};
@@ -0,0 +1,25 @@
+/**
+ * Create an Error carrying an HTTP status code.
+ * Lets helpers (and transaction callbacks) abort with a client-facing error
+ * that the controller turns into a JSON response.
+ * @param {number} statusCode - HTTP status to respond with
+ * @param {string} message - Message shown to the client
+ * @param {Object} [details] - Extra fields merged into the JSON response
+ */
+export const createHttpError = (statusCode, message, details = null) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.details = details;
+  return error;
+};
+
+/**
+ * Send an error created by createHttpError as the standard JSON response
+ */
+export const sendHttpError = (res, error) => {
+  return res.status(error.statusCode).json({
+    success: false,
+    message: error.message,
+    ...(error.details || {})
+  });
+};
@@ -0,0 +1,202 @@
+import mongoose from "mongoose";
+import Order from "../models/Order.js";
+import Product from "../models/Product.js";
+import { releaseSlot } from "./pickupSlots.js";
+import { floorToStep, formatUnit, getQuantityRule, roundQuantity } from "./units.js";
+
+// How long an item added to a cart keeps its stock held
+export const CART_HOLD_MINUTES = Number(process.env.CART_HOLD_MINUTES) || 15;
+
+// Cart and order lines are one product in one variant (none = the product's own unit)
+export const lineKey = (productId, variantId = null) => `${productId}:${variantId || ""}`;
+
+/**
+ * Product stock covered by a quantity of a line (quantity x stock per unit)
+ */
+export const toStockQuantity = (quantity, stockPerUnit = 1) => roundQuantity(quantity * (stockPerUnit || 1));
+
+/**
+ * Whether more of a cart or order line can be taken at an option's current size.
+ * A line is converted to stock at one stockPerUnit, so once its variant has
+ * been resized the line can only shrink or be replaced.
+ */
+export const isSamePackSize = (line, option) => (line.stockPerUnit || 1) === option.stockPerUnit;
+
+/**
+ * Explain why a line item could not be reserved.
+ * Available quantities are in the line's own unit.
+ */
+const describeConflict = (item, product, option = null) => {
+  if (!product || !option) {
+    return { productId: item.productId, variantId: item.variantId || null, reason: "not_found", requested: item.quantity, available: 0 };
+  }
+
+  return {
+    productId: product._id,
+    variantId: option.variant,
+    name: product.name,
+    unit: option.unit,
+    reason: option.isAvailable ? "insufficient_stock" : "unavailable",
+    requested: item.quantity,
+    available: option.isAvailable ? floorToStep(product.quantity / option.stockPerUnit, getQuantityRule(option)) : 0
+  };
+};
+
+/**
+ * Take a quantity out of a product's free stock with a guarded atomic update.
+ * Variants draw on the product's stock: the quantity is converted to the
+ * product's unit first. Callers check the quantity's step and minimum
+ * (see checkQuantity) before taking stock.
+ * @param {{productId: string, variantId?: string, quantity: number}} item - Requested line item
+ * @param {ClientSession} session - Mongo session the update runs in
+ * @param {boolean} [hold] - Move the stock into heldQuantity instead of taking it
+ * @returns {Promise<{product: Object|null, option: Object|null, conflict: Object|null}>}
+ */
+const takeStock = async (item, session, hold = false) => {
+  if (!mongoose.isValidObjectId(item.productId) || (item.variantId && !mongoose.isValidObjectId(item.variantId))) {
+    return { product: null, option: null, conflict: describeConflict(item, null) };
+  }
+
+  const current = await Product.findById(item.productId).session(session);
+  const option = current?.getOption(item.variantId);
+
+  if (!option || !option.isAvailable) {
+    return { product: null, option: null, conflict: describeConflict(item, current, option) };
+  }
+
+  const stock = toStockQuantity(item.quantity, option.stockPerUnit);
+
+  const product = await Product.findOneAndUpdate(
+    { _id: item.productId, isAvailable: true, quantity: { $gte: stock } },
+    { $inc: { quantity: -stock, ...(hold && { heldQuantity: stock }) } },
+    { new: true, session }
+  );
+
+  if (product) {
+    return { product, option, conflict: null };
+  }
+
+  const latest = await Product.findById(item.productId).session(session);
+  return { product: null, option: null, conflict: describeConflict(item, latest, latest?.getOption(item.variantId)) };
+};
+
+/**
+ * Atomically take stock for a list of line items.
+ * Every decrement is guarded on the remaining quantity, so two concurrent
+ * checkouts can never both take the last unit. Items that cannot be taken
+ * are reported as conflicts instead of throwing; the caller decides whether
+ * to abort (and roll back the transaction).
+ * @param {Array<{productId: string, variantId?: string, quantity: number}>} items - Requested line items
+ * @param {ClientSession} [session] - Mongo session the updates run in
+ * @returns {Promise<{reserved: Array<{item: Object, product: Object, option: Object}>, conflicts: Object[]}>}
+ */
+export const reserveStock = async (items, session = null) => {
+  const reserved = [];
+  const conflicts = [];
+
+  for (const item of items) {
+    const { product, option, conflict } = await takeStock(item, session);
+
+    if (product) {
+      reserved.push({ item, product, option });
+    } else {
+      conflicts.push(conflict);
+    }
+  }
+
+  return { reserved, conflicts };
+};
+
+/**
+ * Move a quantity from a product's free stock into its cart-held stock
+ * @returns {Promise<{product: Object|null, option: Object|null, conflict: Object|null}>}
+ */
+export const holdStock = async (item, session = null) => {
+  return takeStock(item, session, true);
+};
+
+/**
+ * Return cart-held stock (in the product's unit) to a product's free stock
+ */
+export const releaseHeldStock = async (productId, quantity, session = null) => {
+  const result = await Product.updateOne(
+    { _id: productId, heldQuantity: { $gte: quantity } },
+    { $inc: { quantity, heldQuantity: -quantity } },
+    { session }
+  );
+
+  if (result.matchedCount === 0) {
+    console.warn(`[Inventory] Could not release ${quantity} held unit(s) of product ${productId}`);
+  }
+};
+
+/**
+ * Release a cart's holds on the given lines and drop them from the cart.
+ * Pass no lines to release the whole cart.
+ * @param {Document} cart - Cart document (saved by the caller)
+ * @param {Array<{productId: string, variantId?: string}>|null} lines - Lines whose holds are released
+ * @param {ClientSession} [session] - Mongo session the updates run in
+ */
+export const releaseCartHolds = async (cart, lines = null, session = null) => {
+  const wanted = lines ? lines.map(l => lineKey(l.productId, l.variantId)) : null;
+  const kept = [];
+
+  for (const item of cart.items) {
+    if (wanted && !wanted.includes(lineKey(item.product, item.variant))) {
+      kept.push(item);
+      continue;
+    }
+    await releaseHeldStock(item.product, toStockQuantity(item.quantity, item.stockPerUnit), session);
+  }
+
+  cart.items = kept;
+};
+
+/**
+ * Return a quantity (in the product's unit) to a product's free stock,
+ * e.g. removed from an order
+ */
+export const returnStock = async (productId, quantity, session = null) => {
+  await Product.updateOne(
+    { _id: productId },
+    { $inc: { quantity } },
+    { session }
+  );
+};
+
+/**
+ * Return a cancelled order's items to stock and free its pickup slot, at most once.
+ * The order is claimed with a guarded update on stockRestoredAt, so a
+ * double cancel or two racing requests cannot restock the same order twice.
+ * Records the restock in statusHistory; the caller saves the order.
+ * @param {Document} order - Order document being cancelled
+ * @param {ClientSession} [session] - Mongo session the updates run in
+ * @returns {Promise<boolean>} true when this call restored the stock
+ */
+export const restockOrder = async (order, session = null) => {
+  const restoredAt = new Date();
+
+  const claimed = await Order.updateOne(
+    { _id: order._id, stockRestoredAt: null },
+    { $set: { stockRestoredAt: restoredAt } },
+    { session }
+  );
+
+  if (claimed.modifiedCount === 0) {
+    return false;
+  }
+
+  for (const item of order.items) {
+    await returnStock(item.product, toStockQuantity(item.quantity, item.stockPerUnit), session);
+  }
+  await releaseSlot(order, session);
+
+  order.stockRestoredAt = restoredAt;
+  order.statusHistory.push({
+    status: order.status,
+    timestamp: restoredAt,
+    note: `Stock restored: ${order.items.map(i => `${i.quantity} ${formatUnit(i)} ${i.name}`).join(", ")}`
+  });
+
+  return true;
+};
@@ -0,0 +1,19 @@
+/**
+ * Peso amounts are rounded to whole centavos. Products are computed in
+ * centavos so that e.g. 0.75 kg at ₱85.50 comes out as ₱64.13, not 64.125.
+ */
+
+// toPrecision drops float noise such as 1.005 * 100 = 100.49999999999999
+const toCentavos = (amount) => Math.round(Number((amount * 100).toPrecision(12)));
+
+export const roundCurrency = (amount) => toCentavos(amount) / 100;
+
+/**
+ * Amount of one line: price x quantity, rounded to centavos
+ */
+export const lineAmount = ({ price, quantity }) => roundCurrency(price * quantity);
+
+/**
+ * Sum of line amounts, each rounded to centavos first
+ */
+export const sumLineAmounts = (items) => items.reduce((sum, item) => sum + toCentavos(lineAmount(item)), 0) / 100;
@@ -0,0 +1,48 @@
+import User from "../models/User.js";
+import { emitNotification } from "./socket.js";
+import { sendOrderUpdateEmail } from "./sendEmail.js";
+
+// Where each role views its orders in the client
+const ORDER_LINKS = {
+  seller: "/seller/orders",
+  rider: "/rider/orders"
+};
+
+/**
+ * Notify a buyer or seller about an order update, by socket and email.
+ * Email failures are logged and never bubble up to the request.
+ * @param {Object} options
+ * @param {string} options.userId - User to notify
+ * @param {Document} options.order - Order the update is about
+ * @param {string} options.type - Socket notification type (e.g. "refund_issued")
+ * @param {string} options.heading - Email heading
+ * @param {string} options.message - Human-readable message
+ * @param {Object} [options.details] - Label/value pairs for the email summary
+ * @param {Object} [options.data] - Extra fields for the socket payload
+ */
+export const notifyOrderUpdate = async ({ userId, order, type, heading, message, details = {}, data = {} }) => {
+  emitNotification(userId.toString(), {
+    type,
+    orderId: order._id,
+    status: order.status,
+    message,
+    ...data
+  });
+
+  try {
+    const user = await User.findById(userId);
+    if (user && user.email) {
+      await sendOrderUpdateEmail({
+        to: user.email,
+        name: user.name,
+        orderId: order._id,
+        heading,
+        message,
+        details,
+        linkPath: ORDER_LINKS[user.role] || "/orders"
+      });
+    }
+  } catch (emailError) {
+    console.error(`Failed to send ${type} email:`, emailError);
+  }
+};
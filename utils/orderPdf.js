@@ -0,0 +1,198 @@
+import PDFDocument from "pdfkit";
+import { formatUnit } from "./units.js";
+import { lineAmount, sumLineAmounts } from "./money.js";
+
+// The built-in PDF fonts have no peso sign, so amounts are written as "PHP 0.00"
+const formatAmount = (amount) => `PHP ${amount.toFixed(2)}`;
+
+const orderRef = (order) => order._id.toString().slice(-6).toUpperCase();
+
+const formatDate = (date) => new Date(date).toLocaleString("en-PH", {
+  timeZone: "Asia/Manila",
+  dateStyle: "medium",
+  timeStyle: "short"
+});
+
+const PAYMENT_METHODS = {
+  qr: "QR payment",
+  cod: "Cash on delivery/pickup"
+};
+
+const paymentState = (order) => {
+  if (order.paymentMethod === "cod") return order.status === "completed" ? "Paid" : "Pay on delivery/pickup";
+  if (order.isPaymentVerified) return "Verified";
+  if (order.status === "awaiting_payment") return "Payment proof rejected";
+  return order.paymentProof ? "Awaiting verification" : "Not yet paid";
+};
+
+const stallLabel = (seller) => [
+  seller?.stallName || seller?.name,
+  seller?.stallNumber && `Stall ${seller.stallNumber}`
+].filter(Boolean).join(" - ");
+
+const addressLines = (order) => {
+  if (order.deliveryType !== "delivery" || !order.deliveryAddress?.fullAddress) {
+    return ["Pickup at the stall"];
+  }
+
+  const { fullAddress, barangay, city, province, contactPhone, deliveryNotes } = order.deliveryAddress;
+  return [
+    fullAddress,
+    [barangay, city, province].filter(Boolean).join(", "),
+    contactPhone && `Contact: ${contactPhone}`,
+    deliveryNotes && `Notes: ${deliveryNotes}`
+  ].filter(Boolean);
+};
+
+// Label/value rows under a heading
+const writeFields = (doc, fields) => {
+  for (const [label, value] of fields) {
+    doc.font("Helvetica-Bold").text(`${label}: `, { continued: true })
+      .font("Helvetica").text(value);
+  }
+};
+
+/**
+ * Draw a simple table; columns are { header, width, align, value(row) }
+ */
+const writeTable = (doc, columns, rows) => {
+  const left = doc.page.margins.left;
+  const drawRow = (cells, font) => {
+    const y = doc.y;
+    let x = left;
+    let height = 0;
+
+    doc.font(font);
+    cells.forEach((cell, i) => {
+      const { width, align = "left" } = columns[i];
+      doc.text(cell, x, y, { width, align });
+      height = Math.max(height, doc.y - y);
+      x += width;
+    });
+
+    doc.x = left;
+    doc.y = y + height + 4;
+  };
+
+  drawRow(columns.map(c => c.header), "Helvetica-Bold");
+  const tableWidth = columns.reduce((sum, c) => sum + c.width, 0);
+  doc.moveTo(left, doc.y - 2).lineTo(left + tableWidth, doc.y - 2).stroke();
+
+  rows.forEach(row => drawRow(columns.map(c => c.value(row)), "Helvetica"));
+};
+
+const writeReceipt = (doc, order) => {
+  const subtotal = sumLineAmounts(order.items);
+
+  doc.fontSize(18).font("Helvetica-Bold").text("MealChoice Receipt");
+  doc.fontSize(10).font("Helvetica").text(`Order #${orderRef(order)}`);
+  doc.moveDown();
+
+  writeFields(doc, [
+    ["Date", formatDate(order.createdAt)],
+    ["Status", order.status],
+    ["Stall", stallLabel(order.seller)],
+    ["Market", order.marketLocation],
+    ["Customer", order.buyer?.name || "Unknown"]
+  ]);
+  doc.moveDown();
+
+  writeTable(doc, [
+    { header: "Item", width: 220, value: item => item.name },
+    { header: "Qty", width: 80, value: item => `${item.quantity} ${formatUnit(item)}` },
+    { header: "Price", width: 100, align: "right", value: item => formatAmount(item.price) },
+    { header: "Amount", width: 110, align: "right", value: item => formatAmount(lineAmount(item)) }
+  ], order.items);
+  doc.moveDown();
+
+  writeFields(doc, [
+    ["Subtotal", formatAmount(subtotal)],
+    ["Delivery fee", formatAmount(order.deliveryFee || 0)],
+    ["Total", formatAmount(order.total)]
+  ]);
+
+  const refunded = (order.refunds || [])
+    .filter(r => r.status !== "requested")
+    .reduce((sum, r) => sum + r.amount, 0);
+  if (refunded > 0) {
+    writeFields(doc, [["Refunded", formatAmount(refunded)]]);
+  }
+  doc.moveDown();
+
+  writeFields(doc, [
+    ["Payment method", PAYMENT_METHODS[order.paymentMethod] || order.paymentMethod],
+    ["Payment status", paymentState(order)],
+    ["Fulfilment", order.deliveryType === "delivery" ? "Delivery" : "Pickup"]
+  ]);
+  if (order.scheduledSlot?.start) {
+    writeFields(doc, [["Scheduled", `${formatDate(order.scheduledSlot.start)} - ${formatDate(order.scheduledSlot.end)}`]]);
+  }
+  addressLines(order).forEach(line => doc.text(line));
+};
+
+const writePackingSlip = (doc, order) => {
+  doc.fontSize(16).font("Helvetica-Bold").text(`Packing Slip - Order #${orderRef(order)}`);
+  doc.fontSize(10).font("Helvetica").moveDown(0.5);
+
+  writeFields(doc, [
+    ["Customer", order.buyer?.name || "Unknown"],
+    ["Placed", formatDate(order.createdAt)],
+    ["Fulfilment", order.deliveryType === "delivery" ? "Delivery" : "Pickup"],
+    ...(order.scheduledSlot?.start ? [["Slot", formatDate(order.scheduledSlot.start)]] : []),
+    ["Payment", `${PAYMENT_METHODS[order.paymentMethod] || order.paymentMethod} (${paymentState(order)})`]
+  ]);
+  addressLines(order).forEach(line => doc.text(line));
+  if (order.notes) {
+    writeFields(doc, [["Order notes", order.notes]]);
+  }
+  doc.moveDown();
+
+  writeTable(doc, [
+    { header: "Packed", width: 50, value: () => "[   ]" },
+    { header: "Item", width: 280, value: item => (item.sku ? `${item.name} (SKU ${item.sku})` : item.name) },
+    { header: "Qty", width: 120, value: item => `${item.quantity} ${formatUnit(item)}` }
+  ], order.items);
+  doc.moveDown();
+
+  doc.font("Helvetica-Bold").text(
+    `Amount to collect: ${order.paymentMethod === "cod" ? formatAmount(order.total) : "none (QR payment)"}`
+  );
+};
+
+/**
+ * Stream a PDF to an Express response
+ * @param {Response} res - Express response
+ * @param {string} filename - Download file name
+ * @param {Function} write - Draws the pages on the PDFKit document
+ */
+const sendPdf = (res, filename, write) => {
+  const doc = new PDFDocument({ size: "A4", margin: 40 });
+
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", `attachment; filename=${filename}`);
+  doc.pipe(res);
+
+  write(doc);
+  doc.end();
+};
+
+/**
+ * Send a printable receipt for one order.
+ * Expects buyer and seller (name, stallName, stallNumber) to be populated.
+ */
+export const sendReceiptPdf = (res, order) => {
+  sendPdf(res, `receipt-${orderRef(order)}.pdf`, doc => writeReceipt(doc, order));
+};
+
+/**
+ * Send packing slips for several orders, one order per page.
+ * Expects buyer to be populated.
+ */
+export const sendPackingSlipsPdf = (res, orders) => {
+  sendPdf(res, "packing-slips.pdf", doc => {
+    orders.forEach((order, i) => {
+      if (i > 0) doc.addPage();
+      writePackingSlip(doc, order);
+    });
+  });
+};
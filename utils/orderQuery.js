@@ -0,0 +1,180 @@
+import mongoose from "mongoose";
+import Order from "../models/Order.js";
+import User from "../models/User.js";
+import { createHttpError } from "./httpError.js";
+import { ORDER_STATUSES } from "./orderStatus.js";
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+// Sort options: field and direction (-1 newest/largest first)
+const SORTS = {
+  newest: { field: "createdAt", direction: -1 },
+  oldest: { field: "createdAt", direction: 1 },
+  total_desc: { field: "total", direction: -1 },
+  total_asc: { field: "total", direction: 1 }
+};
+
+/**
+ * Read a single-valued query param. Express parses a repeated param
+ * (?buyerName=a&buyerName=b) into an array, which is rejected here.
+ * @throws 400 HTTP error when the param is repeated
+ */
+const queryValue = (query, name) => {
+  const value = query[name];
+  if (value === undefined || typeof value === "string") return value;
+  throw createHttpError(400, `${name} may only be given once`);
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Dates without a time are whole days in Manila time
+const parseDate = (value, name, endOfDay = false) => {
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const date = new Date(dateOnly ? `${value}T00:00:00+08:00` : value);
+
+  if (Number.isNaN(date.getTime())) {
+    throw createHttpError(400, `Invalid ${name} date`);
+  }
+  if (dateOnly && endOfDay) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return date;
+};
+
+const encodeCursor = (order, field) => Buffer
+  .from(JSON.stringify({ v: order[field], id: order._id }))
+  .toString("base64url");
+
+const decodeCursor = (cursor, field) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (!mongoose.isValidObjectId(id)) throw new Error("bad id");
+    return { value: field === "createdAt" ? new Date(v) : Number(v), id: new mongoose.Types.ObjectId(id) };
+  } catch {
+    throw createHttpError(400, "Invalid cursor");
+  }
+};
+
+// Users whose name matches, for buyer/seller name filters
+const matchUserIds = async (name) => {
+  const users = await User.find({ name: { $regex: escapeRegex(name.trim()), $options: "i" } }).select("_id");
+  return users.map(u => u._id);
+};
+
+/**
+ * Turn order listing query params into a Mongo filter.
+ * Shared grammar for buyer and seller listings:
+ *   status=pending,ready (or repeated)  paymentMethod=qr|cod  deliveryType=pickup|delivery
+ *   from=2024-01-01  to=2024-01-31 (inclusive days, or ISO timestamps)
+ *   buyerName=  sellerName=  itemName= (case-insensitive, partial)
+ * @throws 400 HTTP error for invalid values
+ */
+export const buildOrderFilter = async (query) => {
+  const filter = {};
+
+  // Statuses may be listed with commas or as a repeated param (?status=pending&status=ready)
+  const statuses = [].concat(query.status ?? []).flatMap(s => String(s).split(",")).map(s => s.trim()).filter(Boolean);
+  if (statuses.length > 0 && !statuses.includes("all")) {
+    if (statuses.some(s => !ORDER_STATUSES.includes(s))) {
+      throw createHttpError(400, "Invalid status filter");
+    }
+    filter.status = { $in: statuses };
+  }
+
+  const paymentMethod = queryValue(query, "paymentMethod");
+  if (paymentMethod) {
+    if (!["qr", "cod"].includes(paymentMethod)) {
+      throw createHttpError(400, "Invalid payment method filter");
+    }
+    filter.paymentMethod = paymentMethod;
+  }
+
+  const deliveryType = queryValue(query, "deliveryType");
+  if (deliveryType) {
+    if (!["pickup", "delivery"].includes(deliveryType)) {
+      throw createHttpError(400, "Invalid delivery type filter");
+    }
+    filter.deliveryType = deliveryType;
+  }
+
+  const from = queryValue(query, "from");
+  const to = queryValue(query, "to");
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = parseDate(from, "from");
+    if (to) filter.createdAt.$lt = parseDate(to, "to", true);
+  }
+
+  const buyerName = queryValue(query, "buyerName");
+  if (buyerName) {
+    filter.buyer = { $in: await matchUserIds(buyerName) };
+  }
+
+  const sellerName = queryValue(query, "sellerName");
+  if (sellerName) {
+    filter.seller = { $in: await matchUserIds(sellerName) };
+  }
+
+  const itemName = queryValue(query, "itemName");
+  if (itemName) {
+    filter["items.name"] = { $regex: escapeRegex(itemName.trim()), $options: "i" };
+  }
+
+  return filter;
+};
+
+/**
+ * Fetch one page of orders with keyset (cursor) pagination.
+ * Pages are ordered by the sort field, then _id, so a cursor stays stable
+ * while new orders come in.
+ * @param {Object} scope - Fixed conditions (e.g. { seller }) that filters cannot widen
+ * @param {Object} query - Request query: filters plus sort, limit and cursor
+ * @param {Function} [prepare] - Adds populate/select to the Mongoose query
+ * @returns {Promise<{orders: Document[], pageInfo: {limit: number, hasMore: boolean, nextCursor: string|null}}>}
+ * @throws 400 HTTP error for invalid parameters
+ */
+export const findOrderPage = async (scope, query, prepare = q => q) => {
+  const sort = SORTS[queryValue(query, "sort") || "newest"];
+  if (!sort) {
+    throw createHttpError(400, `Invalid sort. Use one of: ${Object.keys(SORTS).join(", ")}`);
+  }
+
+  const limitParam = queryValue(query, "limit");
+  const limit = limitParam === undefined ? DEFAULT_LIMIT : Number(limitParam);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw createHttpError(400, `Limit must be between 1 and ${MAX_LIMIT}`);
+  }
+
+  const conditions = [scope, await buildOrderFilter(query)];
+
+  const cursor = queryValue(query, "cursor");
+  if (cursor) {
+    const { value, id } = decodeCursor(cursor, sort.field);
+    const past = sort.direction === -1 ? "$lt" : "$gt";
+    conditions.push({
+      $or: [
+        { [sort.field]: { [past]: value } },
+        { [sort.field]: value, _id: { [past]: id } }
+      ]
+    });
+  }
+
+  const orders = await prepare(
+    Order.find({ $and: conditions })
+      .sort({ [sort.field]: sort.direction, _id: sort.direction })
+      .limit(limit + 1)
+  );
+
+  const hasMore = orders.length > limit;
+  if (hasMore) orders.pop();
+
+  return {
+    orders,
+    pageInfo: {
+      limit,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(orders[orders.length - 1], sort.field) : null
+    }
+  };
+};
@@ -0,0 +1,132 @@
+import cron from "node-cron";
+import mongoose from "mongoose";
+import Order from "../models/Order.js";
+import User from "../models/User.js";
+import { restockOrder } from "./inventory.js";
+import { transitionOrder } from "./orderStatus.js";
+import { notifyOrderUpdate } from "./orderNotifications.js";
+import { emitOrderStatusUpdate } from "./socket.js";
+
+// Shortest timeout a seller can configure; nothing younger is looked at
+const MIN_TIMEOUT_MINUTES = 15;
+const DEFAULT_TIMEOUT_MINUTES = 120;
+
+let scheduledJob = null;
+
+/**
+ * Whether an order is still waiting on the buyer's payment or the seller's confirmation.
+ * QR orders whose proof is waiting for the seller are left alone: the buyer has paid.
+ */
+const isStale = (order) => {
+  if (order.isPaymentVerified) return false;
+  if (order.status === "awaiting_payment") return true;
+  if (order.status !== "pending") return false;
+  return order.paymentMethod === "cod" || !order.paymentProof;
+};
+
+// Last activity on the order: a status change, or a note such as a customer edit
+const lastActivity = (order) => {
+  const latest = order.statusHistory[order.statusHistory.length - 1];
+  return latest?.timestamp || order.createdAt;
+};
+
+const describeReason = (order) => {
+  if (order.status === "awaiting_payment") return "a new payment proof was not submitted in time";
+  if (order.paymentMethod === "qr") return "payment was not received in time";
+  return "the seller did not confirm it in time";
+};
+
+// Cancel one stale order and restock it, re-checking inside the transaction
+const cancelStaleOrder = async (orderId, timeouts, now) => {
+  const session = await mongoose.startSession();
+  let cancelled = null;
+
+  try {
+    await session.withTransaction(async () => {
+      cancelled = null;
+      const order = await Order.findById(orderId).session(session);
+      if (!order || !isStale(order)) return;
+
+      const timeout = timeouts.get(order.seller.toString()) || DEFAULT_TIMEOUT_MINUTES;
+      if (now - lastActivity(order) < timeout * 60 * 1000) return;
+
+      const reason = describeReason(order);
+      transitionOrder(order, "cancelled", "system", `Cancelled automatically: ${reason}`);
+      await restockOrder(order, session);
+      await order.save({ session });
+
+      cancelled = { order, reason };
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return cancelled;
+};
+
+// Cancel every order left unpaid or unconfirmed past its seller's timeout
+const cancelStaleOrders = async () => {
+  const now = new Date();
+
+  try {
+    const candidates = await Order.find({
+      status: { $in: ["pending", "awaiting_payment"] },
+      isPaymentVerified: { $ne: true },
+      createdAt: { $lte: new Date(now.getTime() - MIN_TIMEOUT_MINUTES * 60 * 1000) }
+    }).select("seller status paymentMethod paymentProof isPaymentVerified statusHistory createdAt");
+
+    const staleCandidates = candidates.filter(isStale);
+    if (staleCandidates.length === 0) return;
+
+    const sellerIds = [...new Set(staleCandidates.map(o => o.seller.toString()))];
+    const sellers = await User.find({ _id: { $in: sellerIds } }).select("unpaidOrderTimeoutMinutes");
+    const timeouts = new Map(sellers.map(s => [s._id.toString(), s.unpaidOrderTimeoutMinutes]));
+
+    let count = 0;
+
+    for (const candidate of staleCandidates) {
+      try {
+        const result = await cancelStaleOrder(candidate._id, timeouts, now);
+        if (!result) continue;
+
+        count++;
+        const { order, reason } = result;
+
+        emitOrderStatusUpdate(order.buyer.toString(), order);
+        emitOrderStatusUpdate(order.seller.toString(), order);
+
+        await notifyOrderUpdate({
+          userId: order.buyer,
+          order,
+          type: "order_auto_cancelled",
+          heading: "Order Cancelled",
+          message: `Your order was cancelled automatically because ${reason}. You can place it again anytime.`
+        });
+      } catch (error) {
+        console.error(`[OrderScheduler] Failed to cancel order ${candidate._id}:`, error);
+      }
+    }
+
+    if (count > 0) {
+      console.log(`[OrderScheduler] Cancelled ${count} stale order(s)`);
+    }
+  } catch (error) {
+    console.error("[OrderScheduler] Sweep failed:", error);
+  }
+};
+
+// Initialize scheduler on server start
+export const initOrderScheduler = () => {
+  if (scheduledJob) {
+    scheduledJob.stop();
+  }
+
+  // Sweep every 5 minutes
+  scheduledJob = cron.schedule("*/5 * * * *", cancelStaleOrders, {
+    timezone: "Asia/Manila" // Philippine timezone
+  });
+
+  console.log("[OrderScheduler] Stale order sweeper scheduled");
+};
+
+export default { initOrderScheduler, cancelStaleOrders };
@@ -0,0 +1,91 @@
+import { createHttpError } from "./httpError.js";
+
+/**
+ * Order status transition table.
+ * For each current status, lists the statuses that may follow it and the
+ * roles (User.role, or "system" for scheduled jobs and automatic moves)
+ * allowed to trigger that move. Every code path that changes Order.status goes through
+ * transitionOrder so this stays the single source of truth.
+ */
+export const ORDER_TRANSITIONS = {
+  pending: {
+    awaiting_payment: ["seller", "admin"],
+    confirmed: ["seller", "admin"],
+    preparing: ["seller", "admin"],
+    cancelled: ["customer", "seller", "admin", "system"]
+  },
+  // Seller rejected the payment proof; buyer must upload a new one
+  awaiting_payment: {
+    pending: ["customer"],
+    preparing: ["seller", "admin"],
+    cancelled: ["customer", "seller", "admin", "system"]
+  },
+  // "system" cancels an order left empty when the customer declines a substitution
+  confirmed: {
+    awaiting_payment: ["seller", "admin"],
+    preparing: ["seller", "admin"],
+    cancelled: ["customer", "seller", "admin", "system"]
+  },
+  preparing: {
+    ready: ["seller", "admin"],
+    completed: ["seller", "admin"],
+    cancelled: ["seller", "admin", "system"]
+  },
+  ready: {
+    out_for_delivery: ["seller", "admin", "rider"],
+    completed: ["seller", "admin"],
+    cancelled: ["seller", "admin"]
+  },
+  // Delivery orders: the assigned rider (or the seller) reports progress
+  out_for_delivery: {
+    delivered: ["seller", "admin", "rider"],
+    failed_delivery: ["seller", "admin", "rider"]
+  },
+  // Delivered orders are completed with the buyer's pickup code
+  delivered: {
+    completed: ["seller", "admin", "rider"]
+  },
+  failed_delivery: {
+    out_for_delivery: ["seller", "admin", "rider"],
+    cancelled: ["seller", "admin"]
+  },
+  completed: {},
+  cancelled: {}
+};
+
+export const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+
+// Reported through the delivery endpoint, which records rider proof and notes
+export const DELIVERY_STATUSES = ["out_for_delivery", "delivered", "failed_delivery"];
+
+/**
+ * Check whether a role may move an order from one status to another
+ */
+export const canTransition = (from, to, role) => {
+  const allowedRoles = ORDER_TRANSITIONS[from]?.[to];
+  return Boolean(allowedRoles && allowedRoles.includes(role));
+};
+
+/**
+ * Move an order to a new status and record it in statusHistory.
+ * Does not save the order.
+ * @param {Document} order - Order document
+ * @param {string} to - Target status
+ * @param {string} role - Role of the actor (customer, seller, admin, rider, system)
+ * @param {string} [note] - statusHistory note
+ * @throws 409 HTTP error when the transition is not allowed for the role
+ */
+export const transitionOrder = (order, to, role, note) => {
+  if (!canTransition(order.status, to, role)) {
+    throw createHttpError(409, `Order cannot be moved from ${order.status} to ${to}`, {
+      currentStatus: order.status
+    });
+  }
+
+  order.status = to;
+  order.statusHistory.push({
+    status: to,
+    timestamp: new Date(),
+    note: note || `Status updated to ${to}`
+  });
+};
@@ -0,0 +1,63 @@
+import crypto from "crypto";
+import QRCode from "qrcode";
+import { Jimp } from "jimp";
+import { createHttpError } from "./httpError.js";
+import { decodeQR } from "./qrCode.js";
+
+const QR_PREFIX = "mealchoice-pickup";
+
+// Wrong codes allowed per order within the window before completion is locked
+export const MAX_FAILED_PICKUP_ATTEMPTS = 5;
+export const PICKUP_ATTEMPT_WINDOW_MINUTES = 15;
+
+const payloadFor = (order, code) => `${QR_PREFIX}:${order._id}:${code}`;
+
+/**
+ * Render the pickup QR the buyer shows at the stall
+ * @returns {Promise<string>} PNG data URL
+ */
+export const renderPickupQR = (order, code) => {
+  return QRCode.toDataURL(payloadFor(order, code), { margin: 2, width: 300 });
+};
+
+/**
+ * Read what the seller submitted: the QR content or the code typed in by hand
+ * @param {string} text - Scanned QR text or bare code
+ * @returns {{orderId: string|null, code: string}}
+ */
+export const parsePickupCode = (text) => {
+  const value = String(text).trim();
+  const match = value.match(new RegExp(`^${QR_PREFIX}:([a-f0-9]{24}):([A-Z0-9]+)$`, "i"));
+
+  if (match) {
+    return { orderId: match[1], code: match[2].toUpperCase() };
+  }
+  return { orderId: null, code: value.toUpperCase() };
+};
+
+/**
+ * Decode a photo or screenshot of a pickup QR
+ * @param {Buffer} buffer - Uploaded image
+ * @returns {Promise<{orderId: string|null, code: string}|null>} null when no QR is found
+ * @throws 400 HTTP error when the upload is not a readable image
+ */
+export const readPickupScan = async (buffer) => {
+  let image;
+  try {
+    image = await Jimp.read(buffer);
+  } catch {
+    throw createHttpError(400, "Could not read the image");
+  }
+
+  const qrCode = decodeQR(image);
+  return qrCode ? parsePickupCode(qrCode.data) : null;
+};
+
+/**
+ * Compare pickup codes in constant time
+ */
+export const pickupCodesMatch = (expected, given) => {
+  const a = Buffer.from(expected || "");
+  const b = Buffer.from(given || "");
+  return a.length > 0 && a.length === b.length && crypto.timingSafeEqual(a, b);
+};
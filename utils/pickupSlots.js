@@ -0,0 +1,184 @@
+import Order from "../models/Order.js";
+import SlotBooking from "../models/SlotBooking.js";
+import { createHttpError } from "./httpError.js";
+
+// Operating hours are stored in Philippine time (UTC+8, no daylight saving)
+export const MANILA_OFFSET_MS = 8 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAY_NAMES = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+
+// Slots starting sooner than this are not offered, giving the seller time to prepare
+const SLOT_LEAD_MINUTES = 30;
+export const SLOT_DAYS_AHEAD = 7;
+
+const DEFAULT_SLOT_MINUTES = 60;
+const DEFAULT_SLOT_CAPACITY = 5;
+
+// "06:30" -> 390
+const toMinutes = (time) => {
+  const [hours, minutes] = (time || "").split(":").map(Number);
+  return hours * 60 + (minutes || 0);
+};
+
+// Midnight (Manila time) of the day containing `date`, as a UTC Date
+export const startOfManilaDay = (date) => {
+  const local = new Date(date.getTime() + MANILA_OFFSET_MS);
+  return new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate()) - MANILA_OFFSET_MS);
+};
+
+const manilaDayName = (date) => DAY_NAMES[new Date(date.getTime() + MANILA_OFFSET_MS).getUTCDay()];
+
+const slotSettings = (seller) => ({
+  duration: seller.slotDurationMinutes || DEFAULT_SLOT_MINUTES,
+  capacity: seller.slotCapacity || DEFAULT_SLOT_CAPACITY
+});
+
+/**
+ * Build the slots for one day from the seller's operating hours
+ */
+const buildDaySlots = (seller, dayStart) => {
+  const hours = seller.operatingHours?.[manilaDayName(dayStart)];
+  if (!hours || hours.isClosed) return [];
+
+  const { duration } = slotSettings(seller);
+  const open = toMinutes(hours.open);
+  const close = toMinutes(hours.close);
+  const slots = [];
+
+  for (let minute = open; minute + duration <= close; minute += duration) {
+    const start = new Date(dayStart.getTime() + minute * 60 * 1000);
+    slots.push({ start, end: new Date(start.getTime() + duration * 60 * 1000) });
+  }
+
+  return slots;
+};
+
+/**
+ * Check whether a seller's stall is open at a given moment
+ */
+export const isSellerOpenAt = (seller, date = new Date()) => {
+  const dayStart = startOfManilaDay(date);
+  const hours = seller.operatingHours?.[manilaDayName(dayStart)];
+  if (!hours || hours.isClosed) return false;
+
+  const minute = (date.getTime() - dayStart.getTime()) / 60000;
+  return minute >= toMinutes(hours.open) && minute < toMinutes(hours.close);
+};
+
+/**
+ * Count active orders booked into each slot start for a seller
+ * @returns {Promise<Map<number, number>>} slot start time (ms) -> order count
+ */
+const countBookings = async (sellerId, from, to, session = null) => {
+  const bookings = await Order.aggregate([
+    {
+      $match: {
+        seller: sellerId,
+        status: { $ne: "cancelled" },
+        "scheduledSlot.start": { $gte: from, $lt: to }
+      }
+    },
+    { $group: { _id: "$scheduledSlot.start", count: { $sum: 1 } } }
+  ]).session(session);
+
+  return new Map(bookings.map(b => [b._id.getTime(), b.count]));
+};
+
+/**
+ * List a seller's pickup/delivery slots for the coming days with remaining capacity
+ * @param {Document} seller - Seller user document
+ * @param {number} [days] - Number of days to list, starting today
+ */
+export const getAvailableSlots = async (seller, days = SLOT_DAYS_AHEAD) => {
+  const now = new Date();
+  const earliest = new Date(now.getTime() + SLOT_LEAD_MINUTES * 60 * 1000);
+  const today = startOfManilaDay(now);
+  const { capacity } = slotSettings(seller);
+
+  const bookings = await countBookings(seller._id, today, new Date(today.getTime() + days * DAY_MS));
+
+  const result = [];
+  for (let i = 0; i < days; i++) {
+    const dayStart = new Date(today.getTime() + i * DAY_MS);
+    const slots = buildDaySlots(seller, dayStart)
+      .filter(slot => slot.start >= earliest)
+      .map(slot => {
+        const booked = bookings.get(slot.start.getTime()) || 0;
+        return { ...slot, capacity, booked, available: Math.max(capacity - booked, 0) };
+      });
+
+    result.push({ day: manilaDayName(dayStart), date: dayStart, slots });
+  }
+
+  return result;
+};
+
+/**
+ * Validate a slot chosen at checkout against the seller's hours and book a
+ * place in it. Capacity is claimed with a guarded atomic $inc on the slot's
+ * SlotBooking, like stock, so two checkouts cannot both take the last place.
+ * @param {Document} seller - Seller user document
+ * @param {string|Date} requestedStart - Slot start chosen by the buyer
+ * @param {ClientSession} [session] - Mongo session of the checkout transaction
+ * @returns {Promise<{start: Date, end: Date}>}
+ * @throws 400/409 HTTP errors for invalid or full slots
+ */
+export const bookSlot = async (seller, requestedStart, session = null) => {
+  const start = new Date(requestedStart);
+
+  if (Number.isNaN(start.getTime())) {
+    throw createHttpError(400, "Invalid pickup slot");
+  }
+
+  const now = new Date();
+  const earliest = new Date(now.getTime() + SLOT_LEAD_MINUTES * 60 * 1000);
+  const latest = new Date(startOfManilaDay(now).getTime() + SLOT_DAYS_AHEAD * DAY_MS);
+
+  if (start < earliest || start >= latest) {
+    throw createHttpError(400, `Pickup slot must be within the next ${SLOT_DAYS_AHEAD} days`);
+  }
+
+  const slot = buildDaySlots(seller, startOfManilaDay(start))
+    .find(s => s.start.getTime() === start.getTime());
+
+  if (!slot) {
+    throw createHttpError(400, `${seller.stallName || seller.name} is not open for that pickup slot`);
+  }
+
+  const { capacity } = slotSettings(seller);
+
+  // A slot's counter starts from the orders already booked into it
+  const bookings = await countBookings(seller._id, slot.start, slot.end, session);
+  await SlotBooking.updateOne(
+    { seller: seller._id, start: slot.start },
+    { $setOnInsert: { count: bookings.get(slot.start.getTime()) || 0, expiresAt: slot.end } },
+    { upsert: true, session }
+  );
+
+  const claimed = await SlotBooking.updateOne(
+    { seller: seller._id, start: slot.start, count: { $lt: capacity } },
+    { $inc: { count: 1 } },
+    { session }
+  );
+
+  if (claimed.modifiedCount === 0) {
+    throw createHttpError(409, "That pickup slot is already full. Please choose another.");
+  }
+
+  return slot;
+};
+
+/**
+ * Give back the slot place of a cancelled order
+ * @param {Document} order - Order document
+ * @param {ClientSession} [session] - Mongo session the update runs in
+ */
+export const releaseSlot = async (order, session = null) => {
+  if (!order.scheduledSlot?.start) return;
+
+  await SlotBooking.updateOne(
+    { seller: order.seller, start: order.scheduledSlot.start, count: { $gt: 0 } },
+    { $inc: { count: -1 } },
+    { session }
+  );
+};
@@ -0,0 +1,11 @@
+import jsQR from "jsqr";
+
+/**
+ * Look for a QR code in a Jimp image
+ * @param {Object} image - Jimp image
+ * @returns {Object|null} jsQR result ({ data, location }) or null when none is found
+ */
+export const decodeQR = (image) => {
+  const { data, width, height } = image.bitmap;
+  return jsQR(new Uint8ClampedArray(data), width, height);
+};
@@ -0,0 +1,137 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import mongoose from "mongoose";
+import { fileURLToPath } from "url";
+import { Jimp, compareHashes } from "jimp";
+import Order from "../models/Order.js";
+import User from "../models/User.js";
+import { decodeQR } from "./qrCode.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Share of the image a QR code may cover before the "receipt" looks like a QR screenshot
+const QR_AREA_RATIO_LIMIT = 0.25;
+// Perceptual hash distance (0-1) under which a receipt counts as the seller's QR image
+const SELLER_QR_DISTANCE_LIMIT = 0.1;
+
+// Load the decoded content and perceptual hash of a seller's payment QR
+const getSellerQR = async (sellerId) => {
+  if (!mongoose.isValidObjectId(sellerId)) return null;
+
+  const seller = await User.findById(sellerId).select("paymentQR paymentQRData");
+  if (!seller || !seller.paymentQR) return null;
+
+  let data = seller.paymentQRData;
+  let hash = null;
+
+  const qrPath = path.join(__dirname, "..", seller.paymentQR);
+  if (fs.existsSync(qrPath)) {
+    const qrImage = await Jimp.read(qrPath);
+    hash = qrImage.pHash();
+    // Sellers who uploaded their QR before paymentQRData existed
+    if (!data) data = decodeQR(qrImage)?.data || null;
+  }
+
+  return { data, hash };
+};
+
+// Approximate share of the image covered by a detected QR code
+const qrAreaRatio = (qrCode, width, height) => {
+  const { topLeftCorner, topRightCorner, bottomLeftCorner } = qrCode.location;
+  const qrWidth = Math.hypot(topRightCorner.x - topLeftCorner.x, topRightCorner.y - topLeftCorner.y);
+  const qrHeight = Math.hypot(bottomLeftCorner.x - topLeftCorner.x, bottomLeftCorner.y - topLeftCorner.y);
+  return (qrWidth * qrHeight) / (width * height);
+};
+
+/**
+ * Run sanity checks on an uploaded payment receipt.
+ * Looks for receipts reused across orders (exact file or perceptual hash)
+ * and for images that are really the seller's own payment QR. Never throws:
+ * a receipt that cannot be analysed gets a warning instead, and warnings
+ * never block an order.
+ * @param {string} filePath - Path of the uploaded receipt
+ * @param {string} sellerId - Seller the receipt is meant for
+ * @param {string[]} [excludeOrderIds] - Orders to ignore when looking for reuse
+ * @returns {Promise<Object>} receiptChecks report stored on the order
+ */
+export const checkReceipt = async (filePath, sellerId, excludeOrderIds = []) => {
+  const report = {
+    checkedAt: new Date(),
+    fileHash: null,
+    perceptualHash: null,
+    width: null,
+    height: null,
+    format: null,
+    warnings: [],
+    duplicateOf: []
+  };
+
+  try {
+    const buffer = fs.readFileSync(filePath);
+    report.fileHash = crypto.createHash("sha256").update(buffer).digest("hex");
+
+    const image = await Jimp.read(buffer);
+    report.width = image.width;
+    report.height = image.height;
+    report.format = image.mime || null;
+    report.perceptualHash = image.pHash();
+
+    // Same file, or a visually identical image, already submitted for another order
+    const previousOrders = await Order.find({
+      _id: { $nin: excludeOrderIds },
+      $or: [
+        { "paymentProofs.fileHash": report.fileHash },
+        { "paymentProofs.perceptualHash": report.perceptualHash }
+      ]
+    })
+      .select("paymentProofs.fileHash")
+      .limit(10);
+
+    if (previousOrders.length > 0) {
+      report.duplicateOf = previousOrders.map(o => o._id);
+
+      const exactCopy = previousOrders.some(o =>
+        o.paymentProofs.some(p => p.fileHash === report.fileHash)
+      );
+      report.warnings.push(exactCopy
+        ? { code: "duplicate_receipt", message: "This exact receipt image was already used for another order" }
+        : { code: "similar_receipt", message: "A visually identical receipt was already submitted for another order" });
+    }
+
+    // Receipts that are really a screenshot of the seller's payment QR
+    const sellerQR = await getSellerQR(sellerId);
+    const qrCode = decodeQR(image);
+    let looksLikeSellerQR = false;
+
+    if (qrCode) {
+      if (sellerQR?.data && qrCode.data === sellerQR.data) {
+        looksLikeSellerQR = true;
+      }
+
+      if (qrAreaRatio(qrCode, image.width, image.height) > QR_AREA_RATIO_LIMIT) {
+        report.warnings.push({
+          code: "qr_only",
+          message: "Image is mostly a QR code rather than a payment confirmation"
+        });
+      }
+    }
+
+    if (sellerQR?.hash && compareHashes(report.perceptualHash, sellerQR.hash) <= SELLER_QR_DISTANCE_LIMIT) {
+      looksLikeSellerQR = true;
+    }
+
+    if (looksLikeSellerQR) {
+      report.warnings.push({
+        code: "seller_qr",
+        message: "Receipt appears to be a screenshot of the seller's own payment QR"
+      });
+    }
+  } catch (error) {
+    console.error("Receipt check failed:", error.message);
+    report.warnings.push({ code: "unreadable", message: "Receipt image could not be analysed" });
+  }
+
+  return report;
+};
@@ -0,0 +1,73 @@
+import { createHttpError } from "./httpError.js";
+import { lineAmount, roundCurrency } from "./money.js";
+import { getQuantityRule, isQuantityStep, roundQuantity } from "./units.js";
+
+/**
+ * Price a refund request against an order's lines and earlier refunds.
+ * With items, each listed line is refunded in the requested quantity (all of
+ * what is left when no quantity is given); without, a cancelled order is
+ * refunded whatever has not been refunded yet. Read the order in the same
+ * transaction the refund is saved in, so concurrent requests cannot both pass.
+ * @param {Document} order - Order document
+ * @param {Array<{itemId: string, quantity?: number}>} [items] - Lines to refund
+ * @returns {{amount: number, items: Object[]}} refund amount and line items
+ * @throws 400/409 HTTP errors for invalid lines or quantities, or a refund beyond the amount paid
+ */
+export const priceRefund = (order, items) => {
+  const refundedSoFar = order.getRefundedAmount();
+  const refundItems = [];
+  let amount;
+
+  if (Array.isArray(items) && items.length > 0) {
+    // Each line once per request, so its refundable quantity is only checked against saved refunds
+    if (new Set(items.map(i => String(i.itemId))).size !== items.length) {
+      throw createHttpError(400, "Each item may only be listed once per refund");
+    }
+
+    // Partial refund: price the requested quantity of each line
+    for (const { itemId, quantity } of items) {
+      const line = order.items.id(itemId);
+
+      if (!line) {
+        throw createHttpError(400, `Item not found in order: ${itemId}`);
+      }
+
+      const alreadyRefunded = order.refunds
+        .flatMap(r => r.items)
+        .filter(i => i.item.toString() === line._id.toString())
+        .reduce((sum, i) => sum + i.quantity, 0);
+      const refundable = roundQuantity(line.quantity - alreadyRefunded);
+      const refundQuantity = quantity === undefined ? refundable : Number(quantity);
+
+      // Loose goods can be partly refunded in the steps they are sold in (e.g. 0.25 kg)
+      const validQuantity = Number.isFinite(refundQuantity) && refundQuantity > 0 && refundQuantity <= refundable &&
+        (refundQuantity === refundable || isQuantityStep(refundQuantity, getQuantityRule(line)));
+
+      if (!validQuantity) {
+        throw createHttpError(400, `Invalid refund quantity for ${line.name} (refundable: ${refundable})`);
+      }
+
+      refundItems.push({
+        item: line._id,
+        name: line.name,
+        quantity: refundQuantity,
+        amount: lineAmount({ price: line.price, quantity: refundQuantity })
+      });
+    }
+
+    amount = roundCurrency(refundItems.reduce((sum, i) => sum + i.amount, 0));
+  } else {
+    // Full refund of whatever has not been refunded yet
+    if (order.status !== "cancelled") {
+      throw createHttpError(409, "Full refunds are only available for cancelled orders");
+    }
+
+    amount = roundCurrency(order.total - refundedSoFar);
+  }
+
+  if (amount <= 0 || roundCurrency(refundedSoFar + amount) > order.total) {
+    throw createHttpError(400, "Refund exceeds the amount paid for this order");
+  }
+
+  return { amount, items: refundItems };
+};
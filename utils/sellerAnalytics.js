@@ -0,0 +1,466 @@
+import mongoose from "mongoose";
+import Order from "../models/Order.js";
+import { createHttpError } from "./httpError.js";
+import { MANILA_OFFSET_MS, startOfManilaDay } from "./pickupSlots.js";
+import { roundCurrency } from "./money.js";
+import { formatUnit } from "./units.js";
+
+const TIMEZONE = "Asia/Manila";
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAY_NAMES = ["monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday"];
+
+export const GRANULARITIES = ["day", "week", "month"];
+// Longest series returned; longer ranges need a coarser granularity
+const MAX_BUCKETS = 400;
+const TOP_PRODUCTS_LIMIT = 5;
+
+const MARKETS = ["San Nicolas Market", "Pampang Public Market"];
+
+// Manila calendar fields of a UTC instant
+const manilaParts = (date) => {
+  const local = new Date(date.getTime() + MANILA_OFFSET_MS);
+  return { year: local.getUTCFullYear(), month: local.getUTCMonth(), day: local.getUTCDate(), weekday: local.getUTCDay() };
+};
+
+const manilaDate = (year, month, day) => new Date(Date.UTC(year, month, day) - MANILA_OFFSET_MS);
+
+// "2024-03-01" for the Manila day containing `date`
+const formatManilaDate = (date) => new Date(date.getTime() + MANILA_OFFSET_MS).toISOString().slice(0, 10);
+
+// "2024-03-01 14:05" in Manila time
+const formatManilaDateTime = (date) => new Date(date.getTime() + MANILA_OFFSET_MS)
+  .toISOString().slice(0, 16).replace("T", " ");
+
+// Same bucket boundaries as $dateTrunc with timezone Asia/Manila and weeks starting Monday
+const truncate = (date, unit) => {
+  const { year, month, day, weekday } = manilaParts(date);
+  if (unit === "month") return manilaDate(year, month, 1);
+  if (unit === "week") return manilaDate(year, month, day - ((weekday + 6) % 7));
+  return manilaDate(year, month, day);
+};
+
+const nextBucket = (bucket, unit) => {
+  const { year, month, day } = manilaParts(bucket);
+  if (unit === "month") return manilaDate(year, month + 1, 1);
+  return manilaDate(year, month, day + (unit === "week" ? 7 : 1));
+};
+
+const parseDay = (value, name) => {
+  const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00+08:00` : value);
+  if (Number.isNaN(date.getTime())) {
+    throw createHttpError(400, `Invalid ${name}`);
+  }
+  return startOfManilaDay(date);
+};
+
+const percentChange = (current, previous) => (previous > 0
+  ? Math.round(((current - previous) / previous) * 1000) / 10
+  : 0);
+
+/**
+ * Resolve the analytics date range from the request query.
+ * Accepts startDate/endDate (inclusive Manila days) or
+ * period=today|week|month|year|all, plus an optional granularity.
+ * The previous period is the range of the same length just before it.
+ * @returns {{start: Date|null, end: Date, previous: {start: Date, end: Date}|null, granularity: string}}
+ * @throws 400 HTTP error for invalid dates or granularity
+ */
+export const resolveAnalyticsRange = (query, now = new Date()) => {
+  const { startDate, endDate, period, granularity } = query;
+  const today = startOfManilaDay(now);
+  const { year, month, day } = manilaParts(today);
+  let start = null;
+  let end = now;
+
+  if (startDate && endDate) {
+    start = parseDay(startDate, "start date");
+    end = new Date(parseDay(endDate, "end date").getTime() + DAY_MS);
+    if (end <= start) {
+      throw createHttpError(400, "End date must not be before start date");
+    }
+  } else if (period === "today") {
+    start = today;
+  } else if (period === "week") {
+    start = manilaDate(year, month, day - 7);
+  } else if (period === "month") {
+    start = manilaDate(year, month - 1, day);
+  } else if (period === "year") {
+    start = manilaDate(year - 1, month, day);
+  } else if (period && period !== "all") {
+    throw createHttpError(400, "Invalid period. Use today, week, month, year or all");
+  }
+
+  if (granularity && !GRANULARITIES.includes(granularity)) {
+    throw createHttpError(400, `Invalid granularity. Use one of: ${GRANULARITIES.join(", ")}`);
+  }
+
+  let unit = granularity;
+  if (!unit) {
+    const days = start ? (end - start) / DAY_MS : Infinity;
+    unit = days <= 62 ? "day" : days <= 366 ? "week" : "month";
+  }
+
+  const length = start ? end - start : 0;
+  const previous = start ? { start: new Date(start.getTime() - length), end: start } : null;
+
+  return { start, end, previous, granularity: unit };
+};
+
+// Units and revenue per product variant (or per name for lines without a product)
+const PRODUCT_SALES = [
+  { $unwind: "$items" },
+  {
+    $group: {
+      _id: {
+        product: { $ifNull: ["$items.product", "$items.name"] },
+        variant: { $ifNull: ["$items.variant", null] }
+      },
+      name: { $last: "$items.name" },
+      image: { $last: "$items.image" },
+      unit: { $last: "$items.unit" },
+      size: { $last: "$items.size" },
+      sku: { $last: "$items.sku" },
+      orders: { $sum: 1 },
+      quantity: { $sum: "$items.quantity" },
+      // Line amounts are rounded half-up to centavos, as on the order ($round rounds half to even)
+      revenue: {
+        $sum: { $divide: [{ $floor: { $add: [{ $multiply: ["$items.price", "$items.quantity", 100] }, 0.5] } }, 100] }
+      }
+    }
+  }
+];
+
+const createdIn = (start, end) => (start ? { $gte: start, $lt: end } : { $lt: end });
+
+/**
+ * Per-seller metrics for a range, computed in one aggregation.
+ * Revenue, products and buyers only count completed orders; the status and
+ * payment breakdowns and the heatmap's order counts include every order placed.
+ */
+const aggregateSellerMetrics = async (sellerId, { start, end, granularity }) => {
+  const completed = { $match: { status: "completed" } };
+  // $facet stages cannot nest, so each top-products list repeats the grouping
+  const productSales = [completed, ...PRODUCT_SALES];
+
+  const [result] = await Order.aggregate([
+    { $match: { seller: sellerId, createdAt: createdIn(start, end) } },
+    {
+      $facet: {
+        statuses: [{ $group: { _id: "$status", count: { $sum: 1 } } }],
+        payments: [{ $group: { _id: { $ifNull: ["$paymentMethod", "qr"] }, count: { $sum: 1 } } }],
+        revenue: [completed, { $group: { _id: null, revenue: { $sum: "$total" }, orders: { $sum: 1 } } }],
+        series: [
+          completed,
+          {
+            $group: {
+              _id: { $dateTrunc: { date: "$createdAt", unit: granularity, timezone: TIMEZONE, startOfWeek: "monday" } },
+              revenue: { $sum: "$total" },
+              orders: { $sum: 1 }
+            }
+          },
+          { $sort: { _id: 1 } }
+        ],
+        productsByRevenue: [...productSales, { $sort: { revenue: -1, _id: 1 } }, { $limit: TOP_PRODUCTS_LIMIT }],
+        productsByUnits: [...productSales, { $sort: { quantity: -1, _id: 1 } }, { $limit: TOP_PRODUCTS_LIMIT }],
+        buyers: [
+          completed,
+          { $group: { _id: "$buyer", orders: { $sum: 1 } } },
+          {
+            $group: {
+              _id: null,
+              buyers: { $sum: 1 },
+              repeatBuyers: { $sum: { $cond: [{ $gt: ["$orders", 1] }, 1, 0] } }
+            }
+          }
+        ],
+        heatmap: [
+          { $match: { status: { $ne: "cancelled" } } },
+          {
+            $group: {
+              _id: {
+                day: { $isoDayOfWeek: { date: "$createdAt", timezone: TIMEZONE } },
+                hour: { $hour: { date: "$createdAt", timezone: TIMEZONE } }
+              },
+              orders: { $sum: 1 },
+              revenue: { $sum: { $cond: [{ $eq: ["$status", "completed"] }, "$total", 0] } }
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  return result;
+};
+
+// Completed revenue and order count for the comparison period
+const aggregatePreviousPeriod = async (sellerId, previous) => {
+  if (!previous) return { revenue: 0, orders: 0 };
+
+  const [result] = await Order.aggregate([
+    { $match: { seller: sellerId, status: "completed", createdAt: createdIn(previous.start, previous.end) } },
+    { $group: { _id: null, revenue: { $sum: "$total" }, orders: { $sum: 1 } } }
+  ]);
+
+  return result || { revenue: 0, orders: 0 };
+};
+
+// Fill the gaps between aggregated buckets so charts get a continuous series
+const fillSeries = (buckets, { start, end, granularity }) => {
+  const byStart = new Map(buckets.map(b => [b._id.getTime(), b]));
+  const first = start || buckets[0]?._id;
+  if (!first) return [];
+
+  const series = [];
+  for (let bucket = truncate(first, granularity); bucket < end; bucket = nextBucket(bucket, granularity)) {
+    if (series.length >= MAX_BUCKETS) {
+      throw createHttpError(400, "Date range is too long for this granularity. Choose week or month.");
+    }
+    const found = byStart.get(bucket.getTime());
+    series.push({
+      date: formatManilaDate(bucket),
+      start: bucket,
+      orders: found?.orders || 0,
+      revenue: found?.revenue || 0
+    });
+  }
+  return series;
+};
+
+const formatProducts = (products) => products.map(p => ({
+  product: p._id.product instanceof mongoose.Types.ObjectId ? p._id.product : null,
+  variant: p._id.variant,
+  sku: p.sku || null,
+  name: p.name,
+  image: p.image,
+  unit: formatUnit(p),
+  orders: p.orders,
+  quantity: p.quantity,
+  revenue: p.revenue
+}));
+
+// Dense 7 x 24 grid (Monday first, Manila time)
+const buildHeatmap = (cells) => {
+  const byKey = new Map(cells.map(c => [`${c._id.day}:${c._id.hour}`, c]));
+  const heatmap = [];
+  DAY_NAMES.forEach((day, index) => {
+    for (let hour = 0; hour < 24; hour++) {
+      const cell = byKey.get(`${index + 1}:${hour}`);
+      heatmap.push({ day, hour, orders: cell?.orders || 0, revenue: cell?.revenue || 0 });
+    }
+  });
+  return heatmap;
+};
+
+/**
+ * Analytics for one seller over a resolved range
+ * @param {ObjectId} sellerId - Seller
+ * @param {Object} range - Result of resolveAnalyticsRange
+ */
+export const getSellerMetrics = async (sellerId, range) => {
+  const [metrics, previous] = await Promise.all([
+    aggregateSellerMetrics(sellerId, range),
+    aggregatePreviousPeriod(sellerId, range.previous)
+  ]);
+
+  const statusBreakdown = Object.fromEntries(
+    Order.schema.path("status").enumValues.map(status => [status, 0])
+  );
+  metrics.statuses.forEach(s => { statusBreakdown[s._id] = s.count; });
+
+  const paymentBreakdown = { qr: 0, cod: 0 };
+  metrics.payments.forEach(p => { paymentBreakdown[p._id] = p.count; });
+
+  const { revenue: totalRevenue = 0, orders: completedOrders = 0 } = metrics.revenue[0] || {};
+  const totalOrders = Object.values(statusBreakdown).reduce((sum, count) => sum + count, 0);
+  const { buyers = 0, repeatBuyers = 0 } = metrics.buyers[0] || {};
+
+  return {
+    summary: {
+      totalRevenue,
+      totalOrders,
+      completedOrders,
+      pendingOrders: statusBreakdown.pending,
+      cancelledOrders: statusBreakdown.cancelled,
+      averageOrderValue: completedOrders > 0 ? totalRevenue / completedOrders : 0,
+      revenueChange: percentChange(totalRevenue, previous.revenue)
+    },
+    paymentBreakdown,
+    statusBreakdown,
+    topProducts: formatProducts(metrics.productsByRevenue),
+    topProductsByUnits: formatProducts(metrics.productsByUnits),
+    salesOverTime: fillSeries(metrics.series, range),
+    repeatBuyers: {
+      buyers,
+      repeatBuyers,
+      rate: buyers > 0 ? Math.round((repeatBuyers / buyers) * 1000) / 10 : 0
+    },
+    hourlyHeatmap: buildHeatmap(metrics.heatmap),
+    comparison: range.previous
+      ? {
+        previousStart: range.previous.start,
+        previousEnd: range.previous.end,
+        previousRevenue: previous.revenue,
+        previousOrders: previous.orders,
+        revenueChange: percentChange(totalRevenue, previous.revenue),
+        ordersChange: percentChange(completedOrders, previous.orders)
+      }
+      : null
+  };
+};
+
+/**
+ * Completed revenue per market over the same range, across all sellers
+ */
+export const getMarketComparison = async ({ start, end }) => {
+  const markets = await Order.aggregate([
+    { $match: { status: "completed", createdAt: createdIn(start, end) } },
+    { $group: { _id: "$marketLocation", revenue: { $sum: "$total" }, orders: { $sum: 1 } } }
+  ]);
+
+  return MARKETS.map(name => {
+    const found = markets.find(m => m._id === name);
+    return { name, revenue: found?.revenue || 0, orders: found?.orders || 0 };
+  });
+};
+
+/**
+ * Daily completed revenue of the top sellers over the last 14 days
+ */
+export const getSellerIncomeOverTime = async (now = new Date()) => {
+  const end = new Date(startOfManilaDay(now).getTime() + DAY_MS);
+  const start = new Date(end.getTime() - 14 * DAY_MS);
+
+  const sellers = await Order.aggregate([
+    { $match: { status: "completed", createdAt: { $gte: start, $lt: end } } },
+    {
+      $group: {
+        _id: {
+          seller: "$seller",
+          marketLocation: "$marketLocation",
+          date: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt", timezone: TIMEZONE } }
+        },
+        revenue: { $sum: "$total" }
+      }
+    },
+    {
+      $group: {
+        _id: { seller: "$_id.seller", marketLocation: "$_id.marketLocation" },
+        dailyRevenue: { $push: { date: "$_id.date", revenue: "$revenue" } },
+        totalRevenue: { $sum: "$revenue" }
+      }
+    },
+    { $sort: { totalRevenue: -1 } },
+    { $limit: 10 },
+    { $lookup: { from: "users", localField: "_id.seller", foreignField: "_id", as: "sellerInfo" } },
+    { $unwind: "$sellerInfo" }
+  ]);
+
+  return sellers.map(seller => {
+    const revenueByDate = new Map(seller.dailyRevenue.map(d => [d.date, d.revenue]));
+    const timeSeries = [];
+    for (let day = start; day < end; day = new Date(day.getTime() + DAY_MS)) {
+      const date = formatManilaDate(day);
+      timeSeries.push({ date, revenue: revenueByDate.get(date) || 0 });
+    }
+
+    return {
+      sellerId: seller._id.seller,
+      sellerName: seller.sellerInfo.name,
+      marketLocation: seller._id.marketLocation,
+      totalRevenue: seller.totalRevenue,
+      timeSeries
+    };
+  });
+};
+
+/**
+ * Rows behind the seller analytics for export: one sheet per order,
+ * per product (completed orders) and per day (days with orders only)
+ * @param {ObjectId} sellerId - Seller
+ * @param {Object} range - Result of resolveAnalyticsRange
+ * @returns {Promise<Object[]>} sheets for utils/spreadsheet.js
+ */
+export const getSellerExportSheets = async (sellerId, { start, end }) => {
+  const match = { seller: sellerId, createdAt: createdIn(start, end) };
+
+  const [orders, products, days] = await Promise.all([
+    Order.find(match)
+      .select("buyer items total deliveryFee status paymentMethod deliveryType createdAt")
+      .populate("buyer", "name")
+      .sort({ createdAt: 1 })
+      .lean(),
+    Order.aggregate([
+      { $match: { ...match, status: "completed" } },
+      ...PRODUCT_SALES,
+      { $sort: { revenue: -1, _id: 1 } }
+    ]),
+    Order.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt", timezone: TIMEZONE } },
+          orders: { $sum: 1 },
+          completedOrders: { $sum: { $cond: [{ $eq: ["$status", "completed"] }, 1, 0] } },
+          cancelledOrders: { $sum: { $cond: [{ $eq: ["$status", "cancelled"] }, 1, 0] } },
+          revenue: { $sum: { $cond: [{ $eq: ["$status", "completed"] }, "$total", 0] } }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ])
+  ]);
+
+  return [
+    {
+      name: "Orders",
+      columns: [
+        { header: "Order ID", key: "orderId" },
+        { header: "Date", key: "date" },
+        { header: "Buyer", key: "buyer" },
+        { header: "Status", key: "status" },
+        { header: "Payment", key: "paymentMethod" },
+        { header: "Fulfilment", key: "deliveryType" },
+        { header: "Lines", key: "lines" },
+        { header: "Subtotal", key: "subtotal" },
+        { header: "Delivery fee", key: "deliveryFee" },
+        { header: "Total", key: "total" }
+      ],
+      rows: orders.map(order => ({
+        orderId: order._id.toString(),
+        date: formatManilaDateTime(order.createdAt),
+        buyer: order.buyer?.name || "",
+        status: order.status,
+        paymentMethod: order.paymentMethod,
+        deliveryType: order.deliveryType,
+        // Lines, not units: quantities in kg and pieces do not add up
+        lines: order.items.length,
+        subtotal: roundCurrency(order.total - (order.deliveryFee || 0)),
+        deliveryFee: order.deliveryFee || 0,
+        total: order.total
+      }))
+    },
+    {
+      name: "Products",
+      columns: [
+        { header: "Product", key: "name" },
+        { header: "SKU", key: "sku" },
+        { header: "Unit", key: "unit" },
+        { header: "Orders", key: "orders" },
+        { header: "Units sold", key: "quantity" },
+        { header: "Revenue", key: "revenue" }
+      ],
+      rows: formatProducts(products)
+    },
+    {
+      name: "Daily sales",
+      columns: [
+        { header: "Date", key: "date" },
+        { header: "Orders", key: "orders" },
+        { header: "Completed", key: "completedOrders" },
+        { header: "Cancelled", key: "cancelledOrders" },
+        { header: "Revenue", key: "revenue" }
+      ],
+      rows: days.map(day => ({ ...day, date: day._id, revenue: roundCurrency(day.revenue) }))
+    }
+  ];
+};
@@ -1,4 +1,6 @@
 import nodemailer from "nodemailer";
+import { formatUnit } from "./units.js";
+import { lineAmount } from "./money.js";
 
 let transporter = null;
 
@@ -103,6 +105,41 @@ export const sendSellerWelcomeEmail = async ({ to, name, tempPassword, verificat
   });
 };
 
+/**
+ * Send welcome email to a delivery rider added by a seller
+ */
+export const sendRiderWelcomeEmail = async ({ to, name, tempPassword, stallName }) => {
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h1 style="color: #4CAF50;">Welcome to MealChoice!</h1>
+      <p>Hi ${name},</p>
+      <p>${stallName} added you as a delivery rider. Here are your login credentials:</p>
+      
+      <div style="background: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
+        <p><strong>Email:</strong> ${to}</p>
+        <p><strong>Temporary Password:</strong> <code style="background: #e0e0e0; padding: 4px 8px; border-radius: 4px;">${tempPassword}</code></p>
+      </div>
+      
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${process.env.CLIENT_URL}/login" 
+           style="background: #4CAF50; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; display: inline-block;">
+          Log In
+        </a>
+      </div>
+      
+      <p style="color: #666; font-size: 14px;">
+        You will be asked to change your password after logging in.
+      </p>
+    </div>
+  `;
+
+  await sendEmail({
+    to,
+    subject: "Welcome to MealChoice - Rider Account",
+    html,
+  });
+};
+
 /**
  * Send low stock warning email to seller
  */
@@ -142,8 +179,8 @@ export const sendNewOrderEmail = async ({ to, sellerName, orderId, buyerName, it
   const itemsList = items.map(item =>
     `<tr>
       <td style="padding: 10px; border-bottom: 1px solid #eee;">${item.name}</td>
-      <td style="padding: 10px; border-bottom: 1px solid #eee; text-align: center;">${item.quantity} ${item.unit}</td>
-      <td style="padding: 10px; border-bottom: 1px solid #eee; text-align: right;">₱${(item.price * item.quantity).toFixed(2)}</td>
+      <td style="padding: 10px; border-bottom: 1px solid #eee; text-align: center;">${item.quantity} ${formatUnit(item)}</td>
+      <td style="padding: 10px; border-bottom: 1px solid #eee; text-align: right;">₱${lineAmount(item).toFixed(2)}</td>
     </tr>`
   ).join('');
 
@@ -359,3 +396,88 @@ export const sendPasswordResetEmail = async ({ to, name, resetToken }) => {
   });
 };
 
+
+/**
+ * Send an order update email (refunds, payment reviews, cancellations)
+ * @param {Object} options - Email options
+ * @param {string} options.to - Recipient email
+ * @param {string} options.name - Recipient name
+ * @param {string} options.orderId - Order the update is about
+ * @param {string} options.heading - Email heading and subject prefix
+ * @param {string} options.message - Main paragraph (HTML allowed)
+ * @param {Object} [options.details] - Label/value pairs shown in a summary box
+ * @param {string} [options.linkPath] - Client path for the call-to-action button
+ */
+export const sendOrderUpdateEmail = async ({ to, name, orderId, heading, message, details = {}, linkPath = "/orders" }) => {
+  const orderRef = orderId.toString().slice(-6).toUpperCase();
+
+  const detailRows = Object.entries(details)
+    .map(([label, value]) => `<p style="margin: 0 0 10px;"><strong>${label}:</strong> ${value}</p>`)
+    .join('');
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h1 style="color: #4CAF50;">${heading}</h1>
+      <p>Hi ${name},</p>
+      <p>${message}</p>
+      
+      <div style="background: #f9fafb; padding: 20px; border-radius: 8px; margin: 20px 0;">
+        <p style="margin: 0 0 10px;"><strong>Order:</strong> #${orderRef}</p>
+        ${detailRows}
+      </div>
+      
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${process.env.CLIENT_URL}${linkPath}" 
+           style="background: #4CAF50; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; display: inline-block;">
+          View Order
+        </a>
+      </div>
+    </div>
+  `;
+
+  await sendEmail({
+    to,
+    subject: `${heading} - Order #${orderRef}`,
+    html,
+  });
+};
+
+/**
+ * Send a subscription update email to a buyer (e.g. a skipped run)
+ * @param {Object} options - Email options
+ * @param {string} options.to - Recipient email
+ * @param {string} options.name - Recipient name
+ * @param {string} options.heading - Email heading and subject
+ * @param {string} options.message - Main paragraph (HTML allowed)
+ * @param {Object} [options.details] - Label/value pairs shown in a summary box
+ */
+export const sendSubscriptionUpdateEmail = async ({ to, name, heading, message, details = {} }) => {
+  const detailRows = Object.entries(details)
+    .map(([label, value]) => `<p style="margin: 0 0 10px;"><strong>${label}:</strong> ${value}</p>`)
+    .join('');
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h1 style="color: #ff9800;">${heading}</h1>
+      <p>Hi ${name},</p>
+      <p>${message}</p>
+      
+      <div style="background: #f9fafb; padding: 20px; border-radius: 8px; margin: 20px 0;">
+        ${detailRows}
+      </div>
+      
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${process.env.CLIENT_URL}/subscriptions" 
+           style="background: #4CAF50; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; display: inline-block;">
+          Manage Subscriptions
+        </a>
+      </div>
+    </div>
+  `;
+
+  await sendEmail({
+    to,
+    subject: heading,
+    html,
+  });
+};
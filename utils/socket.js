@@ -58,3 +58,45 @@ export const emitNewOrderNotification = (sellerId, order, buyerName) => {
         timestamp: new Date().toISOString()
     });
 };
+
+/**
+ * Emit an order line substitution update (proposed, accepted or declined)
+ */
+export const emitSubstitutionUpdate = (userId, order, item, type) => {
+    if (!io) return;
+
+    io.to(`user:${userId}`).emit("order_substitution", {
+        type,
+        orderId: order._id,
+        itemId: item._id,
+        original: {
+            name: item.name,
+            price: item.price,
+            quantity: item.quantity,
+            unit: item.unit
+        },
+        substitution: item.substitution,
+        total: order.total,
+        timestamp: new Date().toISOString()
+    });
+};
+
+/**
+ * Emit an order status change to a user (e.g. the buyer following their order)
+ */
+export const emitOrderStatusUpdate = (userId, order) => {
+    if (!io) return;
+
+    const latest = order.statusHistory[order.statusHistory.length - 1];
+
+    io.to(`user:${userId}`).emit("order_status_update", {
+        type: "order_status_update",
+        orderId: order._id,
+        status: order.status,
+        note: latest?.note || null,
+        deliveryType: order.deliveryType,
+        rider: order.rider,
+        deliveryProof: order.deliveryProof,
+        timestamp: new Date().toISOString()
+    });
+};
@@ -0,0 +1,255 @@
+import cron from "node-cron";
+import mongoose from "mongoose";
+import Budget from "../models/Budget.js";
+import Subscription from "../models/Subscription.js";
+import User from "../models/User.js";
+import { emitNotification } from "./socket.js";
+import { sendSubscriptionUpdateEmail } from "./sendEmail.js";
+import { createHttpError } from "./httpError.js";
+import { notifyPlacedOrders, placeOrders } from "./checkout.js";
+import { notifyOrderUpdate } from "./orderNotifications.js";
+import { getBudgetPeriods, getSpentSince } from "./budget.js";
+import { MANILA_OFFSET_MS, getAvailableSlots, isSellerOpenAt, startOfManilaDay } from "./pickupSlots.js";
+
+// Subscription orders are placed at this hour (Manila time) on their day
+const RUN_HOUR = 6;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+let scheduledJob = null;
+
+/**
+ * First run time of a subscription strictly after a given moment
+ * @param {Object} subscription - frequency, dayOfWeek and dayOfMonth
+ * @param {Date} [after]
+ * @returns {Date}
+ */
+export const nextRunAfter = ({ frequency, dayOfWeek, dayOfMonth }, after = new Date()) => {
+  const today = startOfManilaDay(after);
+
+  // A month is the longest gap between two runs
+  for (let i = 0; i <= 31; i++) {
+    const run = new Date(today.getTime() + i * DAY_MS + RUN_HOUR * HOUR_MS);
+    if (run <= after) continue;
+
+    const local = new Date(run.getTime() + MANILA_OFFSET_MS);
+    const matches = frequency === "monthly"
+      ? local.getUTCDate() === dayOfMonth
+      : local.getUTCDay() === dayOfWeek;
+
+    if (matches) return run;
+  }
+
+  return null;
+};
+
+// Run after the current one, skipping any runs missed while the server was down
+const followingRun = (subscription, now) => {
+  const step = (from) => nextRunAfter(
+    subscription,
+    subscription.frequency === "biweekly" ? new Date(from.getTime() + 7 * DAY_MS) : from
+  );
+
+  let next = step(subscription.nextRunAt);
+  while (next <= now) {
+    next = step(next);
+  }
+  return next;
+};
+
+const formatPeso = (amount) => `₱${amount.toFixed(2)}`;
+
+/**
+ * Place the orders for one subscription run through the regular checkout.
+ * @throws HTTP errors (statusCode) when the run has to be skipped
+ */
+const placeSubscriptionOrder = async (subscription, buyer) => {
+  const sellerId = subscription.seller.toString();
+
+  const seller = await User.findById(sellerId);
+  if (!seller || !seller.isActive) {
+    throw createHttpError(409, "The stall is no longer available");
+  }
+
+  // Outside operating hours the order goes into today's first free slot
+  let slots = {};
+  if (!isSellerOpenAt(seller)) {
+    const [today] = await getAvailableSlots(seller, 1);
+    const slot = today.slots.find(s => s.available > 0);
+
+    if (!slot) {
+      throw createHttpError(409, `${seller.stallName || seller.name} has no pickup slot left today`);
+    }
+    slots = { [sellerId]: slot.start };
+  }
+
+  // Orders still in progress count too, so two runs on one day can't both slip under the limit
+  const budget = await Budget.findOne({ user: buyer._id });
+  const { startOfToday, startOfWeek } = getBudgetPeriods();
+  const committed = { $ne: "cancelled" };
+  const spentToday = budget ? await getSpentSince(buyer._id, startOfToday, committed) : 0;
+  const spentThisWeek = budget ? await getSpentSince(buyer._id, startOfWeek, committed) : 0;
+
+  const session = await mongoose.startSession();
+
+  try {
+    let placed;
+
+    await session.withTransaction(async () => {
+      placed = await placeOrders({
+        buyer,
+        items: subscription.items.map(i => ({
+          productId: i.product.toString(),
+          variantId: i.variant?.toString() || null,
+          quantity: i.quantity
+        })),
+        notes: subscription.notes,
+        paymentMethods: { [sellerId]: subscription.paymentMethod },
+        deliveryType: subscription.deliveryType,
+        deliveryAddress: subscription.deliveryType === "delivery" ? subscription.deliveryAddress : null,
+        slots
+      }, session);
+
+      if (!budget) return;
+
+      const total = placed.orders.reduce((sum, order) => sum + order.total, 0);
+
+      if (spentToday + total > budget.dailyLimit) {
+        throw createHttpError(409, `Order total of ${formatPeso(total)} would exceed your daily budget of ${formatPeso(budget.dailyLimit)}`);
+      }
+      if (spentThisWeek + total > budget.weeklyLimit) {
+        throw createHttpError(409, `Order total of ${formatPeso(total)} would exceed your weekly budget of ${formatPeso(budget.weeklyLimit)}`);
+      }
+    });
+
+    await notifyPlacedOrders({ buyer, ...placed });
+
+    return placed.orders;
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Tell the buyer a run was skipped (socket + email)
+const notifySkipped = async (subscription, buyer, error) => {
+  const shortfalls = (error.details?.conflicts || [])
+    .map(c => `${c.name || "Unknown item"} (${c.available} of ${c.requested} available)`);
+
+  const message = shortfalls.length > 0
+    ? "Your subscription order was skipped because some items are short on stock."
+    : `Your subscription order was skipped: ${error.message}.`;
+
+  emitNotification(buyer._id.toString(), {
+    type: "subscription_skipped",
+    subscriptionId: subscription._id,
+    message,
+    conflicts: error.details?.conflicts || []
+  });
+
+  try {
+    if (buyer.email) {
+      await sendSubscriptionUpdateEmail({
+        to: buyer.email,
+        name: buyer.name,
+        heading: "Subscription Order Skipped",
+        message,
+        details: {
+          ...(shortfalls.length > 0 && { "Short on stock": shortfalls.join(", ") }),
+          "Next order": subscription.nextRunAt.toLocaleString("en-PH", { timeZone: "Asia/Manila" })
+        }
+      });
+    }
+  } catch (emailError) {
+    console.error("Failed to send subscription skipped email:", emailError);
+  }
+};
+
+/**
+ * Materialise one due subscription into orders, or skip it and tell the buyer.
+ * The run is claimed by moving nextRunAt first, so it happens at most once
+ * even if two sweeps overlap.
+ */
+const runSubscription = async (subscription, now) => {
+  const dueAt = subscription.nextRunAt;
+  const nextRunAt = followingRun(subscription, now);
+
+  const claimed = await Subscription.updateOne(
+    { _id: subscription._id, nextRunAt: dueAt },
+    { $set: { nextRunAt } }
+  );
+  if (claimed.modifiedCount === 0) return;
+
+  subscription.nextRunAt = nextRunAt;
+
+  const buyer = await User.findById(subscription.buyer);
+  if (!buyer || !buyer.isActive) {
+    subscription.isActive = false;
+    await subscription.save();
+    return;
+  }
+
+  try {
+    const orders = await placeSubscriptionOrder(subscription, buyer);
+
+    subscription.lastRun = { runAt: now, status: "placed", reason: null, orders: orders.map(o => o._id) };
+    await subscription.save();
+
+    for (const order of orders) {
+      await notifyOrderUpdate({
+        userId: buyer._id,
+        order,
+        type: "subscription_order_placed",
+        heading: "Subscription Order Placed",
+        message: "Your recurring order has been placed.",
+        details: { Total: formatPeso(order.total) },
+        data: { subscriptionId: subscription._id }
+      });
+    }
+  } catch (error) {
+    if (!error.statusCode) throw error;
+
+    subscription.lastRun = { runAt: now, status: "skipped", reason: error.message, orders: [] };
+    await subscription.save();
+
+    await notifySkipped(subscription, buyer, error);
+  }
+};
+
+// Place orders for every subscription that is due
+const runDueSubscriptions = async () => {
+  const now = new Date();
+
+  try {
+    const due = await Subscription.find({ isActive: true, nextRunAt: { $lte: now } });
+
+    for (const subscription of due) {
+      try {
+        await runSubscription(subscription, now);
+      } catch (error) {
+        console.error(`[SubscriptionScheduler] Failed to run subscription ${subscription._id}:`, error);
+      }
+    }
+
+    if (due.length > 0) {
+      console.log(`[SubscriptionScheduler] Processed ${due.length} due subscription(s)`);
+    }
+  } catch (error) {
+    console.error("[SubscriptionScheduler] Run failed:", error);
+  }
+};
+
+// Initialize scheduler on server start
+export const initSubscriptionScheduler = () => {
+  if (scheduledJob) {
+    scheduledJob.stop();
+  }
+
+  // Check for due subscriptions every 15 minutes
+  scheduledJob = cron.schedule("*/15 * * * *", runDueSubscriptions, {
+    timezone: "Asia/Manila" // Philippine timezone
+  });
+
+  console.log("[SubscriptionScheduler] Subscription orders scheduled");
+};
+
+export default { initSubscriptionScheduler, runDueSubscriptions };
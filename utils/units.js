@@ -0,0 +1,83 @@
+// Units a product or variant can be sold in
+export const UNITS = ["kg", "g", "piece", "bundle", "pack", "dozen", "liter", "ml"];
+
+// Units that convert into each other: family and size in the family's smallest unit
+const UNIT_SCALES = {
+  kg: { family: "mass", scale: 1000 },
+  g: { family: "mass", scale: 1 },
+  liter: { family: "volume", scale: 1000 },
+  ml: { family: "volume", scale: 1 }
+};
+
+// Stock quantities keep three decimals (grams of a kg, ml of a liter)
+export const roundQuantity = (quantity) => Math.round(quantity * 1000) / 1000;
+
+/**
+ * Convert a quantity between units (kg <-> g, liter <-> ml)
+ * @returns {number|null} converted quantity, or null when the units do not convert
+ */
+export const convertQuantity = (quantity, from, to) => {
+  if (from === to) return quantity;
+
+  const source = UNIT_SCALES[from];
+  const target = UNIT_SCALES[to];
+  if (!source || !target || source.family !== target.family) return null;
+
+  return roundQuantity((quantity * source.scale) / target.scale);
+};
+
+/**
+ * Unit label of an item or variant: "kg", or "250 g" for a sized pack
+ */
+export const formatUnit = ({ unit, size = 1 }) => (size && size !== 1 ? `${size} ${unit}` : unit);
+
+// Loose goods sold by weight or volume can be ordered in steps, e.g. 0.25 kg
+const QUANTITY_RULES = {
+  kg: { step: 0.25, min: 0.25 },
+  liter: { step: 0.25, min: 0.25 }
+};
+// Everything else (and sized packs such as a 250 g pack) is sold whole
+const WHOLE_UNITS = { step: 1, min: 1 };
+
+/**
+ * Step and minimum quantity for an item, variant or product option
+ * @param {{unit: string, size?: number}} option
+ * @returns {{step: number, min: number}}
+ */
+export const getQuantityRule = ({ unit, size = 1 }) => ((!size || size === 1) && QUANTITY_RULES[unit]) || WHOLE_UNITS;
+
+/**
+ * Whether a quantity is a positive multiple of the rule's step
+ */
+export const isQuantityStep = (quantity, { step }) => {
+  if (!Number.isFinite(quantity) || quantity <= 0) return false;
+  const steps = quantity / step;
+  return Math.abs(steps - Math.round(steps)) < 1e-9;
+};
+
+/**
+ * Largest whole number of steps that fits in a quantity, e.g. 0.9 kg -> 0.75 kg
+ */
+export const floorToStep = (quantity, { step }) => roundQuantity(Math.floor(roundQuantity(quantity / step)) * step);
+
+/**
+ * Check a line quantity against its unit's step and minimum
+ * @returns {string|null} problem to show the buyer, or null when valid
+ */
+export const checkQuantity = (quantity, option, name = "This item") => {
+  const rule = getQuantityRule(option);
+  const unit = formatUnit(option);
+
+  if (!Number.isFinite(quantity) || quantity <= 0) {
+    return `${name} needs a quantity greater than zero`;
+  }
+  if (!isQuantityStep(quantity, rule)) {
+    return rule.step === 1
+      ? `${name} must be ordered in whole ${unit} units`
+      : `${name} is sold in steps of ${rule.step} ${unit}`;
+  }
+  if (quantity < rule.min) {
+    return `${name} has a minimum order of ${rule.min} ${unit}`;
+  }
+  return null;
+};